@@ -0,0 +1,173 @@
+/**
+ * Audio Streams
+ *
+ * The continuous audio of one direction of a session, as the SDK recorded
+ * it: PCM16 for WebSocket sessions, one MediaRecorder's WebM chunks for
+ * WebRTC sessions. Turns are cut out of it by time, so a turn's audio is
+ * the window the Realtime API reported instead of whichever chunks happened
+ * to arrive while the turn was open.
+ *
+ * Times are relative to the start of the stream: the first PCM16 sample,
+ * or the moment the recorder started (`startedAt`, sent by the SDK). A
+ * recording's timecodes don't always start at 0, so WebM times count from
+ * its first frame.
+ */
+
+import { isWebmHeader, parseWebm, sliceWebm } from "./webm.js";
+import { ID, readElements, readUint } from "./ebml.js";
+import { PCM16_SAMPLE_RATE } from "./pcm.js";
+
+export function createAudioStream() {
+    return {
+        format: null,       // "pcm16" or "webm"
+        sampleRate: null,   // PCM16 only
+        startedAt: null,    // WebM only: epoch ms the recorder started at
+        firstFrameMs: null, // WebM only: timecode of the first frame, in ms
+        chunks: [],         // PCM16 only
+        droppedBytes: 0,    // PCM16 already pruned from the front
+        webm: null,         // WebM only: the recording split into Clusters, see indexWebm
+    };
+}
+
+/**
+ * Append an audio chunk (`data` as a Buffer) to the stream.
+ */
+export function appendAudio(stream, audio, data) {
+    const format = audio.format || "webm";
+
+    // A new WebM header means the recorder was restarted: a new stream
+    const restarted = format === "webm" && stream.webm !== null && isWebmHeader(data);
+    if (stream.format !== format || restarted) {
+        Object.assign(stream, createAudioStream(), { format, sampleRate: audio.sampleRate || null });
+    }
+
+    if (format !== "webm") {
+        stream.chunks.push(data);
+        return;
+    }
+
+    stream.startedAt ??= Date.parse(audio.recordingStartedAt) || null;
+    stream.webm ??= {
+        init: [],           // chunks of the initialization segment
+        timecodeScale: null,
+        clusters: [],       // { time, chunks }, `time` in timecode units; the last one is still being written
+        pending: null,      // bytes not walked yet: the start of an element cut off by the end of a chunk
+        dropped: false,     // whether Clusters were pruned from the front
+    };
+    indexWebm(stream, data);
+
+    const first = stream.webm.clusters[0];
+    if (stream.firstFrameMs === null && first) {
+        stream.firstFrameMs = firstFrameMs(Buffer.concat([...stream.webm.init, ...first.chunks]));
+    }
+}
+
+/**
+ * Split new WebM bytes into the initialization segment and Clusters. Only
+ * the new bytes are walked, so a long recording isn't re-parsed on every
+ * chunk; a Cluster ends where the next one begins, as MediaRecorder writes
+ * them with an unknown size.
+ */
+function indexWebm(stream, data) {
+    const webm = stream.webm;
+    const buffer = webm.pending ? Buffer.concat([webm.pending, data]) : data;
+    const current = () => webm.clusters[webm.clusters.length - 1]?.chunks ?? webm.init;
+
+    let from = 0;   // start of the bytes not yet added to the init segment or a Cluster
+    let walked = 0; // end of the last element walked
+    for (const el of readElements(buffer)) {
+        if (el.id === ID.Cluster) {
+            if (el.offset > from) current().push(buffer.subarray(from, el.offset));
+            from = el.offset;
+            webm.clusters.push({ time: null, chunks: [] });
+            webm.timecodeScale ??= parseWebm(Buffer.concat(webm.init))?.timecodeScale ?? null;
+        } else if (el.id === ID.Timecode && webm.clusters.length > 0) {
+            webm.clusters[webm.clusters.length - 1].time ??= readUint(buffer.subarray(el.dataOffset, el.end));
+        }
+        walked = el.type === "master" ? el.dataOffset : el.end;
+    }
+
+    if (walked > from) current().push(buffer.subarray(from, walked));
+    webm.pending = walked < buffer.length ? buffer.subarray(walked) : null;
+}
+
+function firstFrameMs(webm) {
+    const parsed = parseWebm(webm);
+    const block = parsed?.blocks[0];
+    return block ? block.time * parsed.timecodeScale / 1000000 : null;
+}
+
+/**
+ * Cut `[startMs, endMs)` out of the stream: raw PCM16 (to the sample) or a
+ * standalone WebM file (to the Opus frame). Returns null if the stream
+ * doesn't cover the window. Only the WebM Clusters that overlap the window
+ * are parsed.
+ */
+export function sliceAudio(stream, startMs, endMs) {
+    if (!(endMs > startMs)) return null;
+
+    if (stream.format === "pcm16") {
+        if (stream.chunks.length === 0) return null;
+        const start = toBytes(stream, Math.max(0, startMs)) - stream.droppedBytes;
+        const end = toBytes(stream, endMs) - stream.droppedBytes;
+        if (start < 0) return null;
+        const pcm = Buffer.concat(stream.chunks);
+        return start < pcm.length ? pcm.subarray(start, Math.min(end, pcm.length)) : null;
+    }
+
+    const webm = stream.webm;
+    if (!webm || webm.clusters.length === 0) return null;
+    const offset = stream.firstFrameMs ?? 0;
+    const start = toUnits(webm, offset + startMs);
+    const end = toUnits(webm, offset + endMs);
+    if (webm.dropped && start < webm.clusters[0].time) return null;
+
+    // A Cluster lasts until the next one starts (the last one, "forever")
+    const clusters = webm.clusters.filter((cluster, i) =>
+        (cluster.time ?? -Infinity) < end && (webm.clusters[i + 1]?.time ?? Infinity) > start);
+    if (clusters.length === 0) return null;
+    const recording = Buffer.concat([...webm.init, ...clusters.flatMap((cluster) => cluster.chunks)]);
+    return sliceWebm(recording, offset + startMs, offset + endMs);
+}
+
+/**
+ * Drop audio before `beforeMs` once no turn needs it: PCM16 to the sample,
+ * WebM by whole Clusters that end before it. The WebM initialization
+ * segment is kept, so later Clusters can still be cut into files.
+ */
+export function pruneAudio(stream, beforeMs) {
+    if (stream.format === "webm") {
+        const webm = stream.webm;
+        if (!webm?.timecodeScale) return;
+        const before = toUnits(webm, (stream.firstFrameMs ?? 0) + beforeMs);
+        // The last Cluster is still being written
+        let drop = 0;
+        while (drop < webm.clusters.length - 1 && webm.clusters[drop + 1].time !== null && webm.clusters[drop + 1].time <= before) {
+            drop++;
+        }
+        if (drop === 0) return;
+        webm.clusters.splice(0, drop);
+        webm.dropped = true;
+        return;
+    }
+    if (stream.format !== "pcm16") return;
+
+    const pcm = Buffer.concat(stream.chunks);
+    const drop = Math.min(pcm.length, toBytes(stream, beforeMs) - stream.droppedBytes);
+    if (drop <= 0) return;
+    stream.chunks = [pcm.subarray(drop)];
+    stream.droppedBytes += drop;
+}
+
+function toUnits(webm, ms) {
+    return ms * 1000000 / (webm.timecodeScale || 1000000);
+}
+
+function bytesPerMs(stream) {
+    return (stream.sampleRate || PCM16_SAMPLE_RATE) * 2 / 1000;
+}
+
+// Whole samples only
+function toBytes(stream, ms) {
+    return Math.round(ms * bytesPerMs(stream)) & ~1;
+}
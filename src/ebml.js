@@ -0,0 +1,288 @@
+/**
+ * EBML
+ *
+ * Reading and writing EBML, the binary format WebM (Matroska) is built on.
+ * Every element is an ID, a data size and the data; master elements contain
+ * other elements. IDs and sizes are variable-length integers (VINTs).
+ *
+ * `readElements` walks a document element by element, in document order,
+ * without building a tree, so it works on complete files as well as on
+ * recorder chunks that start or end in the middle of the document.
+ * MediaRecorder writes the Segment and its Clusters with an "unknown" size:
+ * such an element ends where an element that can't be its child begins,
+ * which is why the walker knows the Matroska schema below.
+ */
+
+// ============================================================
+// SCHEMA
+// ============================================================
+
+// [name, id, type, parent]; "*" elements may appear in any master
+const SCHEMA = [
+    ["EBML", 0x1A45DFA3, "master", null],
+    ["EBMLVersion", 0x4286, "uint", "EBML"],
+    ["EBMLReadVersion", 0x42F7, "uint", "EBML"],
+    ["EBMLMaxIDLength", 0x42F2, "uint", "EBML"],
+    ["EBMLMaxSizeLength", 0x42F3, "uint", "EBML"],
+    ["DocType", 0x4282, "string", "EBML"],
+    ["DocTypeVersion", 0x4287, "uint", "EBML"],
+    ["DocTypeReadVersion", 0x4285, "uint", "EBML"],
+    ["Void", 0xEC, "binary", "*"],
+    ["CRC-32", 0xBF, "binary", "*"],
+
+    ["Segment", 0x18538067, "master", null],
+
+    ["SeekHead", 0x114D9B74, "master", "Segment"],
+    ["Seek", 0x4DBB, "master", "SeekHead"],
+    ["SeekID", 0x53AB, "binary", "Seek"],
+    ["SeekPosition", 0x53AC, "uint", "Seek"],
+
+    ["Info", 0x1549A966, "master", "Segment"],
+    ["TimecodeScale", 0x2AD7B1, "uint", "Info"],
+    ["Duration", 0x4489, "float", "Info"],
+    ["DateUTC", 0x4461, "int", "Info"],
+    ["SegmentUID", 0x73A4, "binary", "Info"],
+    ["Title", 0x7BA9, "string", "Info"],
+    ["MuxingApp", 0x4D80, "string", "Info"],
+    ["WritingApp", 0x5741, "string", "Info"],
+
+    ["Tracks", 0x1654AE6B, "master", "Segment"],
+    ["TrackEntry", 0xAE, "master", "Tracks"],
+    ["TrackNumber", 0xD7, "uint", "TrackEntry"],
+    ["TrackUID", 0x73C5, "uint", "TrackEntry"],
+    ["TrackType", 0x83, "uint", "TrackEntry"],
+    ["FlagLacing", 0x9C, "uint", "TrackEntry"],
+    ["DefaultDuration", 0x23E383, "uint", "TrackEntry"],
+    ["Name", 0x536E, "string", "TrackEntry"],
+    ["Language", 0x22B59C, "string", "TrackEntry"],
+    ["CodecID", 0x86, "string", "TrackEntry"],
+    ["CodecPrivate", 0x63A2, "binary", "TrackEntry"],
+    ["CodecName", 0x258688, "string", "TrackEntry"],
+    ["CodecDelay", 0x56AA, "uint", "TrackEntry"],
+    ["SeekPreRoll", 0x56BB, "uint", "TrackEntry"],
+    ["Video", 0xE0, "master", "TrackEntry"],
+    ["PixelWidth", 0xB0, "uint", "Video"],
+    ["PixelHeight", 0xBA, "uint", "Video"],
+    ["Audio", 0xE1, "master", "TrackEntry"],
+    ["SamplingFrequency", 0xB5, "float", "Audio"],
+    ["Channels", 0x9F, "uint", "Audio"],
+    ["BitDepth", 0x6264, "uint", "Audio"],
+
+    ["Cluster", 0x1F43B675, "master", "Segment"],
+    ["Timecode", 0xE7, "uint", "Cluster"],
+    ["Position", 0xA7, "uint", "Cluster"],
+    ["PrevSize", 0xAB, "uint", "Cluster"],
+    ["SimpleBlock", 0xA3, "binary", "Cluster"],
+    ["BlockGroup", 0xA0, "master", "Cluster"],
+    ["Block", 0xA1, "binary", "BlockGroup"],
+    ["BlockDuration", 0x9B, "uint", "BlockGroup"],
+    ["ReferenceBlock", 0xFB, "int", "BlockGroup"],
+    ["DiscardPadding", 0x75A2, "int", "BlockGroup"],
+
+    ["Cues", 0x1C53BB6B, "master", "Segment"],
+    ["CuePoint", 0xBB, "master", "Cues"],
+    ["CueTime", 0xB3, "uint", "CuePoint"],
+    ["CueTrackPositions", 0xB7, "master", "CuePoint"],
+    ["CueTrack", 0xF7, "uint", "CueTrackPositions"],
+    ["CueClusterPosition", 0xF1, "uint", "CueTrackPositions"],
+    ["CueRelativePosition", 0xF0, "uint", "CueTrackPositions"],
+
+    // Not descended into
+    ["Chapters", 0x1043A770, "binary", "Segment"],
+    ["Tags", 0x1254C367, "binary", "Segment"],
+    ["Attachments", 0x1941A469, "binary", "Segment"],
+];
+
+/**
+ * Element IDs by name, e.g. `ID.Cluster === 0x1F43B675`.
+ */
+export const ID = Object.fromEntries(SCHEMA.map(([name, id]) => [name, id]));
+
+const ELEMENTS = new Map(SCHEMA.map(([name, id, type, parent]) => [id, { name, type, parent }]));
+
+// ============================================================
+// READING
+// ============================================================
+
+/**
+ * Read a VINT at `pos`. Returns `{ value, length }`, with `value` null for
+ * the reserved "unknown size" (all value bits set), or null if the buffer
+ * ends before the VINT does or the VINT is invalid.
+ *
+ * Values above 2^53 lose precision; no real file has sizes that large.
+ */
+export function readVint(buffer, pos) {
+    const first = buffer[pos];
+    if (first === undefined || first === 0) return null;
+    const length = Math.clz32(first) - 23;
+    if (pos + length > buffer.length) return null;
+
+    const mask = 0xFF >> length;
+    let value = first & mask;
+    let unknown = value === mask;
+    for (let i = 1; i < length; i++) {
+        // Multiply rather than shift: sizes can exceed 32 bits
+        value = value * 256 + buffer[pos + i];
+        unknown &&= buffer[pos + i] === 0xFF;
+    }
+    return { value: unknown ? null : value, length };
+}
+
+/**
+ * Read an element ID at `pos`. IDs keep their length marker bits, so they
+ * read the way the spec writes them (0x1F43B675 for a Cluster).
+ */
+export function readId(buffer, pos) {
+    const first = buffer[pos];
+    if (first === undefined || first < 0x10) return null; // IDs are 1 to 4 bytes
+    const length = Math.clz32(first) - 23;
+    if (pos + length > buffer.length) return null;
+
+    let id = 0;
+    for (let i = 0; i < length; i++) id = id * 256 + buffer[pos + i];
+    return { id, length };
+}
+
+/**
+ * Walk the elements of an EBML document in document order.
+ *
+ * Yields `{ id, name, type, offset, dataOffset, size, end, depth, parent }`
+ * for every element, masters before their children. `size` and `end` are
+ * null for unknown-size elements, `name` and `type` are null for elements
+ * not in the schema (which are skipped over), and `parent` is the name of
+ * the enclosing master.
+ *
+ * Elements whose parent isn't open are still yielded, under the innermost
+ * open master: a recorder chunk can start with the blocks of a Cluster whose
+ * header was in the previous chunk. Walking stops, without yielding it, at
+ * the first leaf element that is cut off by the end of the buffer or can't
+ * be read; masters may extend past the end.
+ */
+export function* readElements(buffer, offset = 0) {
+    const open = [];    // enclosing masters: { name, end }
+    let pos = offset;
+
+    while (pos < buffer.length) {
+        // Close masters that ended before this element
+        while (open.length > 0 && open[open.length - 1].end !== null && pos >= open[open.length - 1].end) {
+            open.pop();
+        }
+
+        const id = readId(buffer, pos);
+        if (!id) return;
+        const size = readVint(buffer, pos + id.length);
+        if (!size) return;
+
+        const element = ELEMENTS.get(id.id);
+        const parent = element?.parent;
+
+        // An element that belongs higher up closes the unknown-size masters it's in
+        if (parent !== "*" && parent !== undefined) {
+            const index = parent === null ? -1 : open.findLastIndex((master) => master.name === parent);
+            if (parent === null || index !== -1) {
+                while (open.length > index + 1 && open[open.length - 1].end === null) open.pop();
+            }
+        }
+
+        const dataOffset = pos + id.length + size.length;
+        const end = size.value === null ? null : dataOffset + size.value;
+        const isMaster = element?.type === "master";
+
+        // Unknown-size leaves can't be skipped; cut-off leaves end the walk
+        if (!isMaster && (end === null || end > buffer.length)) return;
+
+        yield {
+            id: id.id,
+            name: element?.name ?? null,
+            type: element?.type ?? null,
+            offset: pos,
+            dataOffset,
+            size: size.value,
+            end,
+            depth: open.length,
+            parent: open[open.length - 1]?.name ?? null,
+        };
+
+        if (isMaster) {
+            open.push({ name: element.name, end });
+            pos = dataOffset;
+        } else {
+            pos = end;
+        }
+    }
+}
+
+export function readUint(data) {
+    let value = 0;
+    for (const byte of data) value = value * 256 + byte;
+    return value;
+}
+
+export function readInt(data) {
+    if (data.length === 0) return 0;
+    const value = readUint(data);
+    return data[0] & 0x80 ? value - 2 ** (8 * data.length) : value;
+}
+
+export function readFloat(data) {
+    if (data.length === 4) return data.readFloatBE(0);
+    if (data.length === 8) return data.readDoubleBE(0);
+    return 0;
+}
+
+export function readString(data) {
+    const end = data.indexOf(0);
+    return data.subarray(0, end === -1 ? data.length : end).toString("utf-8");
+}
+
+// ============================================================
+// WRITING
+// ============================================================
+
+/**
+ * Encode a size as a VINT, in the fewest bytes unless `length` is given.
+ */
+export function encodeSize(size, length = 1) {
+    // 2^(7n) - 1 is reserved for "unknown"
+    while (size >= 2 ** (7 * length) - 1) length++;
+    if (length > 8) throw new Error(`EBML size too large: ${size}`);
+
+    const bytes = Buffer.alloc(length);
+    let value = size;
+    for (let i = length - 1; i >= 0; i--) {
+        bytes[i] = value % 256;
+        value = Math.floor(value / 256);
+    }
+    bytes[0] |= 0x80 >> (length - 1);
+    return bytes;
+}
+
+export function encodeId(id) {
+    const bytes = [];
+    for (let value = id; value > 0; value = Math.floor(value / 256)) bytes.unshift(value % 256);
+    return Buffer.from(bytes);
+}
+
+/**
+ * An element with the given data (a Buffer or a list of Buffers, e.g. child elements).
+ */
+export function element(id, data, sizeLength) {
+    const body = Array.isArray(data) ? Buffer.concat(data) : data;
+    return Buffer.concat([encodeId(id), encodeSize(body.length, sizeLength), body]);
+}
+
+/**
+ * An unsigned integer element, in the fewest bytes unless `length` is given.
+ */
+export function uintElement(id, value, length = 1) {
+    while (value >= 2 ** (8 * length)) length++;
+    const data = Buffer.alloc(length);
+    for (let i = length - 1, rest = value; i >= 0; i--, rest = Math.floor(rest / 256)) data[i] = rest % 256;
+    return element(id, data);
+}
+
+export function floatElement(id, value) {
+    const data = Buffer.alloc(8);
+    data.writeDoubleBE(value, 0);
+    return element(id, data);
+}
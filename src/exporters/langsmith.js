@@ -0,0 +1,213 @@
+/**
+ * LangSmith Exporter
+ *
+ * Uploads each session as a LangSmith trace: a "Realtime Voice Session" chain
+ * run with a child run per turn (audio attached) and a `tool` run per
+ * function call. Latency is recorded as feedback so it can be charted.
+ *
+ * Configured through the usual LANGSMITH_* environment variables.
+ */
+
+import { RunTree } from "langsmith";
+
+function log(...args) {
+    console.log("[LangSmith]", ...args);
+}
+
+// speechStoppedToFirstAudioMs -> latency_speech_stopped_to_first_audio_ms
+function latencyFeedbackKey(metric) {
+    return `latency_${metric.replace(/[A-Z]/g, (c) => `_${c.toLowerCase()}`)}`;
+}
+
+/**
+ * LangSmith's `usage_metadata` shape, which its token and cost views read.
+ */
+function usageMetadata(usage, cost) {
+    return {
+        input_tokens: usage.inputTokens,
+        output_tokens: usage.outputTokens,
+        total_tokens: usage.totalTokens,
+        input_token_details: { audio: usage.input.audio, cache_read: usage.input.cached },
+        output_token_details: { audio: usage.output.audio },
+        ...(cost && { input_cost: cost.input, output_cost: cost.output, total_cost: cost.total }),
+    };
+}
+
+/**
+ * @param {Object} [options]
+ * @param {Object} [options.client] - langsmith `Client` to send runs with; defaults to
+ *   the shared one configured from the environment
+ */
+export function createLangSmithExporter({ client } = {}) {
+    // Session ID -> parent run
+    const runs = new Map();
+
+    return {
+        name: "langsmith",
+
+        async startSession(session) {
+            const parentRun = new RunTree({
+                name: "Realtime Voice Session",
+                run_type: "chain",
+                inputs: {
+                    session_id: session.id,
+                    started_at: session.startedAt,
+                    type: `openai_realtime_${session.transport}`,
+                },
+                // project_name: process.env.LANGSMITH_PROJECT || "default",
+                ...(client && { client }),
+            });
+            await parentRun.postRun();
+            runs.set(session.id, parentRun);
+            log(`☁️  LangSmith trace created: ${parentRun.id}`);
+            return { langsmithRunId: parentRun.id };
+        },
+
+        async exportTurn(session, turn, { audio, cost }) {
+            const parentRun = runs.get(session.id);
+            if (!parentRun) return;
+
+            const runType = turn.type === "input" ? "tool" : "llm";
+            const turnName = turn.type === "input"
+                ? "User Audio Input"
+                : `Assistant Audio Response${turn.interrupted ? " (interrupted)" : ""}`;
+
+            // Prepare attachments object with audio if available
+            // Format: { [name]: { mimeType: string, data: Uint8Array } }
+            // Note: attachment names cannot contain periods!
+            const attachments = {};
+            if (audio) {
+                const attachmentKey = turn.type === "input" ? "user_audio" : "assistant_audio";
+                attachments[attachmentKey] = {
+                    mimeType: audio.mimeType,
+                    data: new Uint8Array(audio.data),
+                };
+            }
+
+            const childRun = await parentRun.createChild({
+                name: turnName,
+                run_type: runType,
+                inputs: turn.type === "input"
+                    ? {
+                        turn_id: turn.id,
+                        item_id: turn.itemId,
+                        previous_item_id: turn.previousItemId,
+                        type: "audio_input",
+                        audio_chunks: turn.audioChunks.length,
+                        audio_size_bytes: audio?.data.length || 0,
+                    }
+                    : {
+                        turn_id: turn.id,
+                        response_id: turn.responseId,
+                        item_ids: turn.itemIds,
+                        type: "audio_generation",
+                        prompt: "Generate audio response",
+                    },
+                attachments: Object.keys(attachments).length > 0 ? attachments : undefined,
+                tags: turn.interrupted ? ["interrupted"] : undefined,
+                metadata: {
+                    config_version: turn.configVersion,
+                    ...(turn.type === "output" && {
+                        latency: turn.latency || undefined,
+                        // Lets LangSmith price the run if we have no price for the model
+                        ls_provider: "openai",
+                        ls_model_name: session.turnState.model || undefined,
+                    }),
+                },
+            });
+
+            await childRun.postRun();
+
+            // `end()` takes the outputs themselves: LangSmith reads
+            // `usage_metadata` from the top level
+            await childRun.end(turn.type === "input"
+                ? {
+                    transcript: turn.transcript || "(no transcription)",
+                    audio_chunks: turn.audioChunks.length,
+                    audio_size_bytes: audio?.data.length || 0,
+                }
+                : {
+                    transcript: turn.transcript || "(no transcription)",
+                    audio_chunks: turn.audioChunks.length,
+                    audio_size_bytes: audio?.data.length || 0,
+                    interrupted: turn.interrupted,
+                    ...(turn.interrupted && {
+                        interruption_reason: turn.interruption.reason,
+                        heard_ms: turn.interruption.heardMs,
+                        full_transcript: turn.fullTranscript,
+                    }),
+                    ...(turn.usage && { usage_metadata: usageMetadata(turn.usage, cost) }),
+                });
+
+            await childRun.patchRun();
+
+            // Latency as feedback, so it can be charted and filtered on in LangSmith
+            if (turn.latency) {
+                for (const [key, score] of Object.entries(turn.latency)) {
+                    if (score == null) continue;
+                    childRun.client.createFeedback(childRun.id, latencyFeedbackKey(key), { score })
+                        .catch((err) => log(`⚠️  Failed to record ${key} feedback:`, err.message));
+                }
+            }
+            log(`☁️  Turn ${turn.id} (${turn.type}) uploaded to LangSmith${audio ? " with audio" : ""}`);
+        },
+
+        async exportToolCall(session, turn, { args, output }) {
+            const parentRun = runs.get(session.id);
+            if (!parentRun) return;
+
+            const childRun = await parentRun.createChild({
+                name: turn.name || "Function Call",
+                run_type: "tool",
+                inputs: args && typeof args === "object" ? args : { arguments: args },
+                // Span the call from its arguments to its output
+                ...(turn.timing.calledAt != null && { start_time: turn.timing.calledAt }),
+                tags: turn.output == null ? ["no_output"] : undefined,
+                metadata: {
+                    turn_id: turn.id,
+                    call_id: turn.callId,
+                    item_id: turn.itemId,
+                    response_id: turn.responseId,
+                    duration_ms: turn.durationMs,
+                    config_version: turn.configVersion,
+                },
+            });
+
+            await childRun.postRun();
+            await childRun.end(
+                { output },
+                turn.output == null ? "No function_call_output received before the session ended" : undefined,
+                turn.timing.outputAt ?? undefined
+            );
+            await childRun.patchRun();
+            log(`☁️  Turn ${turn.id} (tool) uploaded to LangSmith`);
+        },
+
+        async endSession(session, { summary, latency, usage, config }) {
+            const parentRun = runs.get(session.id);
+            if (!parentRun) return;
+            runs.delete(session.id);
+
+            // The configuration is only known once the session has run,
+            // so it's sent with the final update
+            parentRun.inputs = {
+                ...parentRun.inputs,
+                config: config?.config,
+                config_version: config?.version,
+                config_changes: session.config.versions
+                    .slice(1)
+                    .map(({ version, at, changes }) => ({ version, at, changes })),
+            };
+            await parentRun.end({
+                session_id: summary.id,
+                duration_ms: summary.duration,
+                event_count: summary.eventCount,
+                transcript: summary.transcript,
+                latency: { ...latency, turns: undefined },
+                usage,
+            });
+            await parentRun.patchRun();
+            log(`☁️  LangSmith trace completed`);
+        },
+    };
+}
@@ -0,0 +1,258 @@
+/**
+ * OpenTelemetry Exporter
+ *
+ * Sends sessions as OpenTelemetry traces to an OTLP/HTTP endpoint (JSON
+ * encoding), so they show up in Jaeger, Tempo, Honeycomb, Datadog, ... next
+ * to the rest of an application's traces. Spans follow the OpenTelemetry
+ * GenAI semantic conventions:
+ * - a session span, with the session's model and token usage
+ * - `chat {model}` for each response, with its usage and output message
+ * - `user_input` for each user turn, with its input message
+ * - `execute_tool {name}` for each function call, with its arguments and result
+ *
+ * Turn spans are sent as soon as the turn is saved; the session span when
+ * the session ends.
+ */
+
+import { randomBytes } from "crypto";
+
+const SCOPE = { name: "realtime-observability", version: "1.0.0" };
+
+// https://opentelemetry.io/docs/specs/otel/trace/api/#spankind
+const SPAN_KIND_INTERNAL = 1;
+const SPAN_KIND_CLIENT = 3;
+
+const STATUS_OK = 1;
+const STATUS_ERROR = 2;
+
+const EXPORT_TIMEOUT_MS = 10000;
+
+function log(...args) {
+    console.log("[OTLP]", ...args);
+}
+
+/**
+ * @param {Object} options
+ * @param {string} options.url - OTLP/HTTP traces endpoint, e.g. `http://localhost:4318/v1/traces`
+ * @param {Object} [options.headers] - Extra request headers, e.g. for authentication
+ * @param {string} [options.serviceName='realtime-observability'] - `service.name` resource attribute
+ * @param {boolean} [options.captureContent=true] - Include transcripts, tool arguments
+ *   and tool results in span attributes
+ * @param {Function} [options.fetch] - fetch implementation
+ */
+export function createOtlpExporter(options) {
+    const {
+        url,
+        headers = {},
+        serviceName = "realtime-observability",
+        captureContent = true,
+        fetch = globalThis.fetch,
+    } = options;
+
+    if (!url) {
+        throw new Error("OTLP exporter needs a url");
+    }
+
+    // Session ID -> { traceId, spanId }
+    const traces = new Map();
+
+    async function send(spans) {
+        const body = {
+            resourceSpans: [{
+                resource: { attributes: attributes({ "service.name": serviceName }) },
+                scopeSpans: [{ scope: SCOPE, spans }],
+            }],
+        };
+        const res = await fetch(url, {
+            method: "POST",
+            headers: { "content-type": "application/json", ...headers },
+            body: JSON.stringify(body),
+            signal: AbortSignal.timeout(EXPORT_TIMEOUT_MS),
+        });
+        if (!res.ok) {
+            throw new Error(`OTLP export to ${url} failed: ${res.status}`);
+        }
+    }
+
+    function childSpan(session, fields) {
+        const trace = traces.get(session.id);
+        if (!trace) return null;
+        return {
+            traceId: trace.traceId,
+            spanId: randomHex(8),
+            parentSpanId: trace.spanId,
+            ...fields,
+        };
+    }
+
+    // Transcripts and tool payloads are only included when content capture is on
+    const content = (value) => (captureContent ? value : undefined);
+
+    return {
+        name: "otlp",
+
+        async startSession(session) {
+            const trace = { traceId: randomHex(16), spanId: randomHex(8) };
+            traces.set(session.id, trace);
+            return { otelTraceId: trace.traceId };
+        },
+
+        async exportTurn(session, turn, { cost }) {
+            const model = session.turnState.model;
+            const common = {
+                "gen_ai.provider.name": "openai",
+                "gen_ai.conversation.id": session.id,
+                "realtime.turn.id": turn.id,
+                "realtime.config_version": turn.configVersion,
+            };
+
+            let span;
+            if (turn.type === "input") {
+                span = childSpan(session, {
+                    name: "user_input",
+                    kind: SPAN_KIND_INTERNAL,
+                    startTimeUnixNano: nanos(turn.audioStartedAt ?? turn.startedAt),
+                    endTimeUnixNano: nanos(turn.audioEndedAt ?? Date.now()),
+                    attributes: attributes({
+                        ...common,
+                        "realtime.item.id": turn.itemId,
+                        "realtime.previous_item.id": turn.previousItemId,
+                        "gen_ai.input.messages": content(turn.transcript
+                            ? JSON.stringify([{ role: "user", parts: [{ type: "text", content: turn.transcript }] }])
+                            : undefined),
+                    }),
+                    status: turn.transcriptError
+                        ? { code: STATUS_ERROR, message: turn.transcriptError }
+                        : { code: STATUS_OK },
+                });
+            } else {
+                const { timing, usage } = turn;
+                const finishReason = turn.interrupted ? "interrupted" : turn.status;
+                span = childSpan(session, {
+                    name: model ? `chat ${model}` : "chat",
+                    kind: SPAN_KIND_CLIENT,
+                    startTimeUnixNano: nanos(timing.createdAt ?? turn.startedAt),
+                    endTimeUnixNano: nanos(timing.playbackEndedAt ?? timing.doneAt ?? Date.now()),
+                    attributes: attributes({
+                        ...common,
+                        "gen_ai.operation.name": "chat",
+                        "gen_ai.request.model": model,
+                        "gen_ai.response.model": model,
+                        "gen_ai.response.id": turn.responseId,
+                        "gen_ai.response.finish_reasons": finishReason ? [finishReason] : undefined,
+                        "gen_ai.usage.input_tokens": usage?.inputTokens,
+                        "gen_ai.usage.output_tokens": usage?.outputTokens,
+                        "gen_ai.output.messages": content(turn.transcript
+                            ? JSON.stringify([{
+                                role: "assistant",
+                                parts: [{ type: "text", content: turn.transcript }],
+                                finish_reason: finishReason,
+                            }])
+                            : undefined),
+                        "realtime.usage.input_audio_tokens": usage?.input.audio,
+                        "realtime.usage.output_audio_tokens": usage?.output.audio,
+                        "realtime.usage.cached_tokens": usage?.input.cached,
+                        "realtime.cost.total": cost?.total,
+                        "realtime.interrupted": turn.interrupted,
+                        "realtime.interruption.reason": turn.interruption?.reason,
+                        "realtime.interruption.heard_ms": turn.interruption?.heardMs,
+                        ...Object.fromEntries(Object.entries(turn.latency || {})
+                            .map(([metric, value]) => [`realtime.latency.${metric}`, value])),
+                    }),
+                    status: turn.status === "failed"
+                        ? { code: STATUS_ERROR, message: "Response failed" }
+                        : { code: STATUS_OK },
+                });
+            }
+
+            if (span) await send([span]);
+        },
+
+        async exportToolCall(session, turn, { args, output }) {
+            const span = childSpan(session, {
+                name: turn.name ? `execute_tool ${turn.name}` : "execute_tool",
+                kind: SPAN_KIND_INTERNAL,
+                startTimeUnixNano: nanos(turn.timing.calledAt ?? turn.startedAt),
+                endTimeUnixNano: nanos(turn.timing.outputAt ?? Date.now()),
+                attributes: attributes({
+                    "gen_ai.provider.name": "openai",
+                    "gen_ai.conversation.id": session.id,
+                    "gen_ai.operation.name": "execute_tool",
+                    "gen_ai.tool.name": turn.name,
+                    "gen_ai.tool.type": "function",
+                    "gen_ai.tool.call.id": turn.callId,
+                    "gen_ai.tool.call.arguments": content(JSON.stringify(args)),
+                    "gen_ai.tool.call.result": content(turn.output == null ? undefined : JSON.stringify(output)),
+                    "gen_ai.response.id": turn.responseId,
+                    "error.type": turn.output == null ? "no_output" : undefined,
+                    "realtime.turn.id": turn.id,
+                    "realtime.config_version": turn.configVersion,
+                }),
+                status: turn.output == null
+                    ? { code: STATUS_ERROR, message: "No function_call_output received before the session ended" }
+                    : { code: STATUS_OK },
+            });
+
+            if (span) await send([span]);
+        },
+
+        async endSession(session, { summary, usage, config }) {
+            const trace = traces.get(session.id);
+            if (!trace) return;
+            traces.delete(session.id);
+
+            const startedAt = Date.parse(session.startedAt) || Date.now();
+            await send([{
+                traceId: trace.traceId,
+                spanId: trace.spanId,
+                name: "Realtime Voice Session",
+                kind: SPAN_KIND_INTERNAL,
+                startTimeUnixNano: nanos(startedAt),
+                endTimeUnixNano: nanos(summary.duration != null ? startedAt + summary.duration : Date.now()),
+                attributes: attributes({
+                    "gen_ai.provider.name": "openai",
+                    "gen_ai.conversation.id": session.id,
+                    "gen_ai.request.model": session.turnState.model,
+                    "gen_ai.usage.input_tokens": usage?.inputTokens,
+                    "gen_ai.usage.output_tokens": usage?.outputTokens,
+                    "realtime.transport": session.transport,
+                    "realtime.event_count": summary.eventCount,
+                    "realtime.config_version": config?.version,
+                    "realtime.cost.total": usage?.cost?.total,
+                }),
+                status: { code: STATUS_OK },
+            }]);
+            log(`🔭 OpenTelemetry trace completed: ${trace.traceId}`);
+        },
+    };
+}
+
+function randomHex(bytes) {
+    return randomBytes(bytes).toString("hex");
+}
+
+// Epoch milliseconds or an ISO timestamp -> nanoseconds, as the decimal
+// string OTLP/JSON uses for 64-bit integers
+function nanos(time) {
+    const ms = typeof time === "number" ? time : Date.parse(time) || Date.now();
+    return (BigInt(Math.round(ms)) * 1000000n).toString();
+}
+
+/**
+ * OTLP key/value attributes from a plain object. Undefined and null values
+ * are left out.
+ */
+function attributes(values) {
+    return Object.entries(values)
+        .filter(([, value]) => value != null)
+        .map(([key, value]) => ({ key, value: anyValue(value) }));
+}
+
+function anyValue(value) {
+    if (Array.isArray(value)) return { arrayValue: { values: value.map(anyValue) } };
+    if (typeof value === "boolean") return { boolValue: value };
+    if (typeof value === "number") {
+        return Number.isInteger(value) ? { intValue: String(value) } : { doubleValue: value };
+    }
+    return { stringValue: String(value) };
+}
@@ -1,7 +1,7 @@
 /**
  * OpenAI Realtime API Observability
  * 
- * Zero-config observability for OpenAI Realtime WebRTC sessions.
+ * Zero-config observability for OpenAI Realtime WebRTC and WebSocket sessions.
  * Patches global APIs so your existing OpenAI code works unchanged.
  * 
  * @example
@@ -21,17 +21,26 @@
  * // ... rest of your code
  */
 
+import { createTransport, createWebSocketTransport } from './transport.js';
+import { base64ToBytes, bytesToBase64, wavHeader, PCM16_SAMPLE_RATE } from './pcm.js';
+import { createTurnState, applyEvent, summarizeLatency, onRealtimeChannel } from './turns.js';
+import { createRedactor } from './redact.js';
+
 let isEnabled = false;
 let config = {};
-let sessionData = null;
 let OriginalRTCPeerConnection = null;
+let OriginalWebSocket = null;
 let originalFetch = null;
+let transport = null;
+let redactor = null;
+
+// Active sessions, keyed by the RTCPeerConnection or WebSocket that owns them.
+// Each session keeps its own events, transcript, recorders and audio blobs
+// so multiple connections (or agents) on one page don't mix data.
+const sessions = new Map();
 
-// Audio recording state
-let inputRecorder = null;
-let outputRecorder = null;
-let allInputBlobs = [];
-let allOutputBlobs = [];
+// Ended sessions whose `session_end` waits for their recorders' last chunk
+const endingSessions = new Set();
 
 /**
  * Enable observability for OpenAI Realtime API sessions.
@@ -43,6 +52,19 @@ let allOutputBlobs = [];
  * @param {Function} [options.onSessionStart] - Callback when session starts
  * @param {Function} [options.onSessionEnd] - Callback when session ends with full summary
  * @param {boolean} [options.recordAudio=true] - Whether to record audio
+ * @param {'http'|'ws'|Object} [options.transport='http'] - Send payloads as batched POSTs, stream them over a
+ *   WebSocket, or hand them to a custom transport object (`{ send, flush, flushOnUnload, close }`)
+ * @param {string} [options.wsEndpoint] - WebSocket URL (defaults to `endpoint` + `/ws` with a ws: scheme)
+ * @param {number} [options.batchSize=20] - Max payloads per request to the endpoint
+ * @param {number} [options.flushInterval=1000] - Max delay before queued payloads are sent (ms)
+ * @param {number} [options.maxQueueSize=500] - Max payloads buffered while the endpoint is unreachable
+ * @param {boolean} [options.persistQueue=true] - Buffer undelivered payloads in IndexedDB across page loads
+ * @param {boolean|Object} [options.redact=false] - Redact personal data from events before they're
+ *   recorded or sent: `true` for the built-in email, phone and card detectors, or
+ *   `{ detectors, rules }` (see redact.js)
+ * @param {boolean} [options.patchGlobals=true] - Wrap the global RTCPeerConnection, WebSocket and
+ *   fetch to observe every Realtime connection; with false, only connections passed to
+ *   `observeWebSocket` / `observeEmitter` / `recordInput` are observed
  * @param {boolean} [options.debug=false] - Log debug info to console
  */
 export function enable(options = {}) {
@@ -58,42 +80,113 @@ export function enable(options = {}) {
         onSessionStart: null,
         onSessionEnd: null,
         recordAudio: true,
+        transport: 'http',
+        wsEndpoint: null,
+        batchSize: 20,
+        flushInterval: 1000,
+        maxQueueSize: 500,
+        persistQueue: true,
+        redact: false,
+        patchGlobals: true,
         debug: false,
         ...options
     };
+    redactor = createRedactor(config.redact);
 
     // Store originals
     OriginalRTCPeerConnection = globalThis.RTCPeerConnection;
+    OriginalWebSocket = globalThis.WebSocket;
     originalFetch = globalThis.fetch;
 
-    // Patch RTCPeerConnection
-    globalThis.RTCPeerConnection = function(...args) {
-        const pc = new OriginalRTCPeerConnection(...args);
-        return wrapPeerConnection(pc);
-    };
-    // Copy static properties
-    Object.setPrototypeOf(globalThis.RTCPeerConnection, OriginalRTCPeerConnection);
+    if (config.transport && typeof config.transport === 'object') {
+        transport = config.transport;
+    } else if (config.endpoint && config.transport === 'ws') {
+        transport = createWebSocketTransport({
+            url: config.wsEndpoint || toWebSocketUrl(config.endpoint),
+            beaconEndpoint: config.endpoint,
+            WebSocket: OriginalWebSocket,
+            maxQueueSize: config.maxQueueSize,
+            log,
+        });
+    } else if (config.endpoint) {
+        transport = createTransport({
+            endpoint: config.endpoint,
+            fetch: originalFetch,
+            batchSize: config.batchSize,
+            flushInterval: config.flushInterval,
+            maxQueueSize: config.maxQueueSize,
+            persist: config.persistQueue,
+            log,
+        });
+    }
 
-    // Patch fetch
-    globalThis.fetch = function(url, options) {
-        return observableFetch(url, options);
-    };
+    if (config.patchGlobals) patchGlobals();
 
     isEnabled = true;
     log('Enabled');
 }
 
+function patchGlobals() {
+    // Patch RTCPeerConnection
+    if (OriginalRTCPeerConnection) {
+        globalThis.RTCPeerConnection = patchConstructor(OriginalRTCPeerConnection, (pc) => wrapPeerConnection(pc));
+    }
+
+    // Patch WebSocket (only Realtime API connections are observed)
+    if (OriginalWebSocket) {
+        globalThis.WebSocket = patchConstructor(OriginalWebSocket, (ws, [url]) => (isRealtimeUrl(url) ? wrapWebSocket(ws) : ws));
+    }
+
+    // Patch fetch
+    if (originalFetch) {
+        globalThis.fetch = function(url, options) {
+            return observableFetch(url, options);
+        };
+    }
+}
+
 /**
- * Disable observability and restore original APIs.
+ * Disable observability and restore the original APIs, if they were patched.
+ * 
+ * Active sessions are ended (their recorders stopped, their summaries sent)
+ * and their connections unwrapped, so they behave as if observability had
+ * never been enabled. `enable()` can be called again afterwards.
+ * 
+ * @returns {Promise<void>} Resolves once the sessions' last audio and
+ *   `session_end` have been handed over and the transport has delivered its
+ *   queue, or given up on it for now (HTTP payloads that failed stay in
+ *   IndexedDB for the next page load)
  */
 export function disable() {
-    if (!isEnabled) return;
+    if (!isEnabled) return Promise.resolve();
 
-    globalThis.RTCPeerConnection = OriginalRTCPeerConnection;
-    globalThis.fetch = originalFetch;
-    
+    const ended = Array.from(sessions.values()).map((session) => endSession(session));
+
+    if (config.patchGlobals) {
+        if (OriginalRTCPeerConnection) globalThis.RTCPeerConnection = OriginalRTCPeerConnection;
+        if (OriginalWebSocket) globalThis.WebSocket = OriginalWebSocket;
+        if (originalFetch) globalThis.fetch = originalFetch;
+    }
+
+    const closing = transport;
+    transport = null;
     isEnabled = false;
     log('Disabled');
+
+    // Nothing carries over to the next enable(). Sessions that are still
+    // ending keep what they were started with.
+    config = {};
+    redactor = null;
+
+    // Deliver what's queued, then stop accepting payloads
+    return Promise.all(ended).then(async () => {
+        if (!closing) return;
+        try {
+            await closing.flush();
+        } finally {
+            closing.close();
+        }
+    });
 }
 
 /**
@@ -115,125 +208,283 @@ function generateSessionId() {
     return `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 }
 
-function startSession() {
-    sessionData = {
+function startSession(connection, kind = 'webrtc') {
+    const session = {
         id: generateSessionId(),
         startedAt: new Date().toISOString(),
+        connection,
+        transport: kind,
+        audioFormat: kind === 'websocket' ? 'pcm16' : 'webm',
         events: [],
         transcript: { input: '', output: '' },
+        turnState: createTurnState({ transport: kind }),
+        inputRecorder: null,
+        outputRecorder: null,
+        inputBlobs: [],
+        outputBlobs: [],
+        // When each recorder started: block time 0 of its WebM stream
+        recordingStartedAt: { input: null, output: null },
+        answered: false,
+        // Undoes the session's wrapping of its connection and channels
+        unwrap: [],
+        // Audio chunks being read before they're sent
+        pendingAudio: new Set(),
+        ended: false,
+        // What the session was started with, kept while it ends after disable()
+        config,
+        redactor,
+        sink: transport,
     };
-    allInputBlobs = [];
-    allOutputBlobs = [];
-    
-    log('Session started:', sessionData.id);
-    emit('session_start', { session: { id: sessionData.id, startedAt: sessionData.startedAt } });
-    config.onSessionStart?.({ id: sessionData.id, startedAt: sessionData.startedAt });
+    sessions.set(connection, session);
+
+    const info = { id: session.id, startedAt: session.startedAt, transport: session.transport };
+    log('Session started:', session.id);
+    emit(session, 'session_start', { session: info });
+    session.config.onSessionStart?.(info);
+    return session;
 }
 
-function endSession() {
-    if (!sessionData) return;
+// A recorder that doesn't fire `stop` isn't waited for longer than this
+const RECORDER_STOP_TIMEOUT_MS = 2000;
+
+/**
+ * End a session. Its recorders deliver their last chunk after they stop, so
+ * `session_end` is sent once that chunk has gone out (the server forgets the
+ * session after `session_end`). On page unload there's no time to wait:
+ * `immediate` sends it right away.
+ */
+function endSession(session, { immediate = false } = {}) {
+    if (!session || sessions.get(session.connection) !== session) return Promise.resolve();
+    sessions.delete(session.connection);
+
+    for (const undo of session.unwrap.splice(0)) undo();
+
+    session.endedAt = new Date().toISOString();
+    session.duration = new Date(session.endedAt) - new Date(session.startedAt);
 
     // Stop recorders
-    stopRecorder(inputRecorder);
-    stopRecorder(outputRecorder);
-    inputRecorder = null;
-    outputRecorder = null;
+    const recorders = [session.inputRecorder, session.outputRecorder].filter((recorder) => recorder && recorder.state !== 'inactive');
+    const stopped = Promise.all(recorders.map(stopRecorder)).then(() => Promise.all(session.pendingAudio));
+    session.inputRecorder = null;
+    session.outputRecorder = null;
+
+    if (immediate || (recorders.length === 0 && session.pendingAudio.size === 0)) {
+        finishSession(session);
+        return Promise.resolve();
+    }
+    endingSessions.add(session);
+    return stopped.then(() => finishSession(session));
+}
 
-    sessionData.endedAt = new Date().toISOString();
-    sessionData.duration = new Date(sessionData.endedAt) - new Date(sessionData.startedAt);
+function finishSession(session) {
+    if (session.ended) return;
+    session.ended = true;
+    endingSessions.delete(session);
+
+    // Personal data split across transcript deltas is only found in the whole text
+    if (session.redactor) {
+        session.transcript = {
+            input: session.redactor.redactText(session.transcript.input).text,
+            output: session.redactor.redactText(session.transcript.output).text,
+        };
+    }
 
     const summary = {
-        id: sessionData.id,
-        startedAt: sessionData.startedAt,
-        endedAt: sessionData.endedAt,
-        duration: sessionData.duration,
-        eventCount: sessionData.events.length,
-        transcript: sessionData.transcript,
+        id: session.id,
+        startedAt: session.startedAt,
+        endedAt: session.endedAt,
+        duration: session.duration,
+        eventCount: session.events.length,
+        transcript: session.transcript,
+        latency: summarizeLatency(session.turnState),
         audioChunks: {
-            input: allInputBlobs.length,
-            output: allOutputBlobs.length
+            input: session.inputBlobs.length,
+            output: session.outputBlobs.length
         }
     };
 
     log('Session ended:', summary);
-    emit('session_end', { session: summary });
-    config.onSessionEnd?.(summary);
+    emit(session, 'session_end', { session: summary });
+    session.config.onSessionEnd?.(summary);
+}
+
+/**
+ * Find the session a signaling request belongs to. The SDP offer body is
+ * matched against each connection's local description; otherwise the most
+ * recently created session that hasn't been answered yet is used.
+ */
+function findSignalingSession(sdp) {
+    const candidates = webrtcSessions();
+    if (sdp) {
+        const match = candidates.find((s) => s.connection.localDescription?.sdp === sdp);
+        if (match) return match;
+    }
+    return candidates.reverse().find((s) => !s.answered) || null;
+}
+
+/**
+ * Find the session an input stream belongs to, by looking for a
+ * connection that is sending one of the stream's tracks.
+ */
+function findInputSession(stream, pc) {
+    if (pc) return sessions.get(pc) || null;
+
+    const trackIds = new Set(stream.getTracks().map((t) => t.id));
+    const candidates = webrtcSessions();
+    const match = candidates.find((s) =>
+        s.connection.getSenders?.().some((sender) => sender.track && trackIds.has(sender.track.id))
+    );
+    return match || candidates.reverse().find((s) => !s.inputRecorder) || null;
+}
 
-    sessionData = null;
+function webrtcSessions() {
+    return Array.from(sessions.values()).filter((s) => s.transport === 'webrtc');
 }
 
+// Stop a recorder. Resolves once it has stopped, which is after it has
+// delivered its last chunk.
 function stopRecorder(recorder) {
-    if (recorder && recorder.state !== 'inactive') {
-        try { recorder.stop(); } catch (e) {}
-    }
+    return new Promise((resolve) => {
+        const timer = setTimeout(resolve, RECORDER_STOP_TIMEOUT_MS);
+        const done = () => {
+            clearTimeout(timer);
+            resolve();
+        };
+        recorder.addEventListener('stop', done, { once: true });
+        try { recorder.stop(); } catch (e) { done(); }
+    });
 }
 
-function recordEvent(event, direction) {
-    if (!sessionData) return;
+function recordEvent(session, event, direction, channel) {
+    if (!session || sessions.get(session.connection) !== session) return;
 
-    const enrichedEvent = {
+    let enrichedEvent = {
         ...event,
         direction,
+        ...(channel !== undefined && { channel }),
+        sessionId: session.id,
         timestamp: new Date().toISOString(),
     };
+    if (session.redactor) enrichedEvent = session.redactor.redactEvent(enrichedEvent);
 
-    sessionData.events.push(enrichedEvent);
+    session.events.push(enrichedEvent);
 
-    // Extract transcripts
-    if (event.type === 'response.output_audio_transcript.delta' && event.delta) {
-        sessionData.transcript.output += event.delta;
-    }
-    if (event.type === 'conversation.item.input_audio_transcription.completed' && event.transcript) {
-        sessionData.transcript.input += (sessionData.transcript.input ? ' ' : '') + event.transcript;
+    // The app's own data channels are recorded, but aren't the conversation
+    if (onRealtimeChannel(enrichedEvent)) {
+        applyEvent(session.turnState, enrichedEvent);
+
+        // Extract transcripts
+        if (event.type === 'response.output_audio_transcript.delta' && enrichedEvent.delta) {
+            session.transcript.output += enrichedEvent.delta;
+        }
+        if (event.type === 'conversation.item.input_audio_transcription.completed' && enrichedEvent.transcript) {
+            session.transcript.input += (session.transcript.input ? ' ' : '') + enrichedEvent.transcript;
+        }
     }
 
     log('Event:', direction, event.type);
-    emit('event', { event: enrichedEvent });
-    config.onEvent?.(enrichedEvent);
+    emit(session, 'event', { event: enrichedEvent });
+    session.config.onEvent?.(enrichedEvent);
 }
 
-function recordAudioChunk(direction, blob) {
-    if (!sessionData || !config.recordAudio) return;
+function recordAudioChunk(session, direction, blob) {
+    const { config, sink } = session;
+    if (!config.recordAudio || session.ended) return;
 
     if (direction === 'input') {
-        allInputBlobs.push(blob);
+        session.inputBlobs.push(blob);
     } else {
-        allOutputBlobs.push(blob);
+        session.outputBlobs.push(blob);
     }
 
     const audioData = {
         direction,
+        sessionId: session.id,
         size: blob.size,
         timestamp: new Date().toISOString(),
+        recordingStartedAt: session.recordingStartedAt[direction],
     };
 
     log('Audio:', direction, blob.size, 'bytes');
     
+    // Binary transports send the raw bytes, no base64 needed
+    const binary = sink?.binary;
+    if (binary) {
+        trackAudio(session, blob.arrayBuffer().then((buffer) => emit(session, 'audio', { audio: { ...audioData } }, buffer)));
+    }
+
     // Convert to base64 for transmission if needed
-    if (config.onAudio || config.endpoint) {
-        const reader = new FileReader();
-        reader.onload = () => {
-            audioData.data = reader.result.split(',')[1];
-            audioData.blob = blob;
-            emit('audio', { audio: audioData });
-            config.onAudio?.(audioData);
-        };
-        reader.readAsDataURL(blob);
+    if (config.onAudio || (sink && !binary)) {
+        trackAudio(session, new Promise((resolve) => {
+            const reader = new FileReader();
+            reader.onload = () => {
+                audioData.data = reader.result.split(',')[1];
+                audioData.blob = blob;
+                if (!binary) emit(session, 'audio', { audio: audioData });
+                config.onAudio?.(audioData);
+                resolve();
+            };
+            reader.onerror = () => resolve();
+            reader.readAsDataURL(blob);
+        }));
     }
 }
 
-function emit(type, data) {
-    if (!config.endpoint) return;
+// Keep track of a chunk being read, so the session ends after it's sent.
+// A chunk that can't be read is dropped.
+function trackAudio(session, reading) {
+    const settled = reading
+        .catch((err) => log('Failed to read audio chunk:', err?.message))
+        .then(() => session.pendingAudio.delete(settled));
+    session.pendingAudio.add(settled);
+}
+
+// WebSocket sessions carry audio as base64 PCM16 inside realtime events
+function recordPcmChunk(session, direction, base64) {
+    const { config, sink } = session;
+    if (!config.recordAudio || session.ended) return;
+
+    const bytes = base64ToBytes(base64);
+    if (direction === 'input') {
+        session.inputBlobs.push(bytes);
+    } else {
+        session.outputBlobs.push(bytes);
+    }
+
+    const audioData = {
+        direction,
+        sessionId: session.id,
+        size: bytes.length,
+        format: 'pcm16',
+        sampleRate: PCM16_SAMPLE_RATE,
+        timestamp: new Date().toISOString(),
+    };
 
-    originalFetch(config.endpoint, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-            type,
-            ...data,
-            timestamp: new Date().toISOString()
-        }),
-    }).catch(err => log('Failed to send to endpoint:', err.message));
+    if (sink?.binary) {
+        emit(session, 'audio', { audio: { ...audioData } }, bytes);
+    } else {
+        emit(session, 'audio', { audio: { ...audioData, data: base64 } });
+    }
+    config.onAudio?.({ ...audioData, data: base64 });
+}
+
+function emit(session, type, data, binary) {
+    if (!session.sink) return;
+
+    session.sink.send({
+        ...data,
+        type,
+        sessionId: session.id,
+        timestamp: new Date().toISOString()
+    }, binary);
+}
+
+// Derive the WebSocket URL from the HTTP endpoint: http://host/observability -> ws://host/observability/ws
+function toWebSocketUrl(endpoint) {
+    const url = new URL(endpoint, globalThis.location?.href);
+    url.protocol = url.protocol === 'https:' ? 'wss:' : 'ws:';
+    url.pathname = url.pathname.replace(/\/$/, '') + '/ws';
+    return url.toString();
 }
 
 // Wrap fetch to detect SDP exchange
@@ -249,15 +500,15 @@ function observableFetch(url, options) {
         return originalFetch(url, options);
     }
 
-    // Start session if not already
-    if (!sessionData) {
-        startSession();
-    }
+    const offer = typeof options?.body === 'string' && options.body.startsWith('v=0')
+        ? options.body
+        : null;
+    const session = findSignalingSession(offer);
 
     // Capture SDP offer
-    if (options?.body && typeof options.body === 'string' && options.body.startsWith('v=0')) {
+    if (session && offer) {
         log('SDP offer captured');
-        emit('signaling', { type: 'offer', sdp: options.body });
+        emit(session, 'signaling', { sdpType: 'offer', sdp: offer });
     }
 
     return originalFetch(url, options).then(async (response) => {
@@ -265,9 +516,10 @@ function observableFetch(url, options) {
         const text = await cloned.text();
         
         // Capture SDP answer
-        if (text.startsWith('v=0')) {
+        if (session && text.startsWith('v=0')) {
+            session.answered = true;
             log('SDP answer captured');
-            emit('signaling', { type: 'answer', sdp: text });
+            emit(session, 'signaling', { sdpType: 'answer', sdp: text });
         }
 
         return new Response(text, {
@@ -280,93 +532,216 @@ function observableFetch(url, options) {
 
 // Wrap RTCPeerConnection
 function wrapPeerConnection(pc) {
-    if (!sessionData) {
-        startSession();
-    }
+    const session = startSession(pc);
 
     // Wrap createDataChannel
-    const origCreateDataChannel = pc.createDataChannel.bind(pc);
-    pc.createDataChannel = function(label, options) {
-        const dc = origCreateDataChannel(label, options);
-        wrapDataChannel(dc);
+    const origCreateDataChannel = pc.createDataChannel;
+    override(session, pc, 'createDataChannel', function(...args) {
+        const dc = origCreateDataChannel.apply(this, args);
+        wrapDataChannel(session, dc);
         return dc;
-    };
+    });
 
-    // Intercept ontrack for output audio recording
-    let userOnTrack = null;
-    Object.defineProperty(pc, 'ontrack', {
-        get: () => userOnTrack,
-        set: (handler) => { userOnTrack = handler; },
-        configurable: true
+    // Channels opened by the other side. Added before the page can set
+    // `ondatachannel`, so their messages are observed from the first one.
+    listen(session, pc, 'datachannel', (event) => {
+        wrapDataChannel(session, event.channel);
     });
 
-    pc.addEventListener('track', (event) => {
-        if (config.recordAudio && event.track.kind === 'audio' && event.streams[0]) {
-            startOutputRecording(event.streams[0]);
+    // Record output audio. Added before the page can set `ontrack`, so
+    // recording starts before the page's handler runs.
+    listen(session, pc, 'track', (event) => {
+        if (session.config.recordAudio && event.track.kind === 'audio' && event.streams[0]) {
+            startOutputRecording(session, event.streams[0]);
         }
-        userOnTrack?.call(pc, event);
     });
 
-    // End session on close
-    const origClose = pc.close.bind(pc);
-    pc.close = function() {
-        endSession();
-        return origClose();
-    };
+    // End session on close (close() doesn't fire connectionstatechange)
+    const origClose = pc.close;
+    override(session, pc, 'close', function(...args) {
+        endSession(session);
+        return origClose.apply(this, args);
+    });
 
     return pc;
 }
 
-// Wrap DataChannel
-function wrapDataChannel(dc) {
+// Realtime API WebSocket URLs, e.g. wss://api.openai.com/v1/realtime?model=gpt-realtime
+function isRealtimeUrl(url) {
+    return /\/realtime(?:[/?#]|$)/.test(String(url));
+}
+
+// Wrap WebSocket (browser WebSocket or Node `ws`)
+function wrapWebSocket(ws) {
+    const session = startSession(ws, 'websocket');
+
     // Intercept incoming messages
-    dc.addEventListener('message', (event) => {
-        try {
-            const parsed = JSON.parse(event.data);
-            recordEvent(parsed, 'incoming');
-        } catch {
-            recordEvent({ type: 'raw', data: event.data }, 'incoming');
-        }
+    listen(session, ws, 'message', (event) => {
+        recordMessage(session, event.data, 'incoming');
     });
 
     // Intercept outgoing messages
-    const origSend = dc.send.bind(dc);
-    dc.send = function(data) {
+    const origSend = ws.send;
+    override(session, ws, 'send', function(data, ...rest) {
+        recordMessage(session, data, 'outgoing');
+        return origSend.call(this, data, ...rest);
+    });
+
+    // End session on close, whichever side closes
+    listen(session, ws, 'close', () => endSession(session));
+
+    return ws;
+}
+
+// Binary messages up to this size are kept (as base64), larger ones only
+// by their size
+const BINARY_DATA_MAX_BYTES = 1024;
+
+// Events that carry base64 PCM16 audio, and the field holding it
+const AUDIO_EVENTS = {
+    'input_audio_buffer.append': { direction: 'input', field: 'audio' },
+    'response.output_audio.delta': { direction: 'output', field: 'delta' },
+    'response.audio.delta': { direction: 'output', field: 'delta' },
+};
+
+function recordMessage(session, data, direction, channel) {
+    // Blobs have to be read first, so they're recorded a moment late
+    if (typeof Blob !== 'undefined' && data instanceof Blob) {
+        data.arrayBuffer().then(
+            (buffer) => recordMessage(session, buffer, direction, channel),
+            // Unreadable: at least its size is known
+            () => recordEvent(session, { type: 'binary', size: data.size }, direction, channel)
+        );
+        return;
+    }
+
+    if (data instanceof ArrayBuffer || ArrayBuffer.isView(data)) {
+        const bytes = data instanceof ArrayBuffer
+            ? new Uint8Array(data)
+            : new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+        // Text sent as bytes (Node sockets hand those out) is still an event
+        let event;
         try {
-            const parsed = JSON.parse(data);
-            recordEvent(parsed, 'outgoing');
+            event = JSON.parse(new TextDecoder('utf-8', { fatal: true }).decode(bytes));
         } catch {
-            recordEvent({ type: 'raw', data }, 'outgoing');
+            const binary = { type: 'binary', size: bytes.length };
+            if (bytes.length <= BINARY_DATA_MAX_BYTES) binary.data = bytesToBase64(bytes);
+            recordEvent(session, binary, direction, channel);
+            return;
         }
-        return origSend(data);
-    };
+        recordRealtimeEvent(session, event, direction, channel);
+        return;
+    }
+
+    if (typeof data !== 'string') {
+        recordEvent(session, { type: 'raw', size: data?.size ?? 0 }, direction, channel);
+        return;
+    }
+
+    let event;
+    try {
+        event = JSON.parse(data);
+    } catch {
+        recordEvent(session, { type: 'raw', data }, direction, channel);
+        return;
+    }
+
+    recordRealtimeEvent(session, event, direction, channel);
+}
+
+function recordRealtimeEvent(session, event, direction, channel) {
+    // Audio goes through the audio pipeline; keep the event itself small
+    const audio = AUDIO_EVENTS[event.type];
+    if (audio && typeof event[audio.field] === 'string' && onRealtimeChannel({ channel })) {
+        const { [audio.field]: base64, ...rest } = event;
+        recordEvent(session, { ...rest, audio_bytes: Math.floor(base64.length * 3 / 4) }, direction, channel);
+        recordPcmChunk(session, audio.direction, base64);
+        return;
+    }
+
+    recordEvent(session, event, direction, channel);
+}
+
+// Wrap DataChannel. Events are labelled with the channel they went through.
+function wrapDataChannel(session, dc) {
+    // Intercept incoming messages
+    listen(session, dc, 'message', (event) => {
+        recordMessage(session, event.data, 'incoming', dc.label);
+    });
+
+    // Intercept outgoing messages
+    const origSend = dc.send;
+    override(session, dc, 'send', function(data) {
+        recordMessage(session, data, 'outgoing', dc.label);
+        return origSend.call(this, data);
+    });
+}
+
+// ============================================================
+// WRAPPING
+// ============================================================
+
+/**
+ * A stand-in for a native constructor that passes each new instance through
+ * `wrap`. It shares the original's prototype and statics, so `instanceof`,
+ * `RTCPeerConnection.prototype` and subclasses behave as before.
+ */
+function patchConstructor(Original, wrap) {
+    function Patched(...args) {
+        return wrap(Reflect.construct(Original, args, new.target), args);
+    }
+    Patched.prototype = Original.prototype;
+    Object.setPrototypeOf(Patched, Original);
+    Object.defineProperty(Patched, 'name', { value: Original.name });
+    return Patched;
+}
+
+// Replace a method on an instance until the session is unwrapped. The
+// instance usually inherits it; an own property is put back as it was.
+function override(session, target, name, replacement) {
+    const own = Object.getOwnPropertyDescriptor(target, name);
+    target[name] = replacement;
+    session.unwrap.push(() => {
+        if (own) Object.defineProperty(target, name, own);
+        else delete target[name];
+    });
+}
+
+// Add an event listener until the session is unwrapped
+function listen(session, target, type, listener) {
+    target.addEventListener(type, listener);
+    session.unwrap.push(() => target.removeEventListener(type, listener));
 }
 
 // Audio recording
-function startInputRecording(stream) {
-    if (!config.recordAudio || inputRecorder) return;
+function startInputRecording(session, stream) {
+    if (!session.config.recordAudio || session.inputRecorder) return;
 
     try {
-        inputRecorder = new MediaRecorder(stream, { mimeType: 'audio/webm;codecs=opus' });
-        inputRecorder.ondataavailable = (e) => {
-            if (e.data.size > 0) recordAudioChunk('input', e.data);
+        const recorder = new MediaRecorder(stream, { mimeType: 'audio/webm;codecs=opus' });
+        recorder.ondataavailable = (e) => {
+            if (e.data.size > 0) recordAudioChunk(session, 'input', e.data);
         };
-        inputRecorder.start(1000);
+        session.recordingStartedAt.input = new Date().toISOString();
+        recorder.start(1000);
+        session.inputRecorder = recorder;
         log('Input audio recording started');
     } catch (err) {
         log('Failed to start input recording:', err.message);
     }
 }
 
-function startOutputRecording(stream) {
-    if (!config.recordAudio || outputRecorder) return;
+function startOutputRecording(session, stream) {
+    if (!session.config.recordAudio || session.outputRecorder) return;
 
     try {
-        outputRecorder = new MediaRecorder(stream, { mimeType: 'audio/webm;codecs=opus' });
-        outputRecorder.ondataavailable = (e) => {
-            if (e.data.size > 0) recordAudioChunk('output', e.data);
+        const recorder = new MediaRecorder(stream, { mimeType: 'audio/webm;codecs=opus' });
+        recorder.ondataavailable = (e) => {
+            if (e.data.size > 0) recordAudioChunk(session, 'output', e.data);
         };
-        outputRecorder.start(1000);
+        session.recordingStartedAt.output = new Date().toISOString();
+        recorder.start(1000);
+        session.outputRecorder = recorder;
         log('Output audio recording started');
     } catch (err) {
         log('Failed to start output recording:', err.message);
@@ -377,34 +752,125 @@ function startOutputRecording(stream) {
  * Call this after getUserMedia to record input audio.
  * This is the only manual step required.
  * 
+ * The stream is attached to the peer connection that is sending its track.
+ * Pass `pc` explicitly when the track hasn't been added to a connection yet.
+ * 
  * @param {MediaStream} stream - The microphone stream from getUserMedia
+ * @param {RTCPeerConnection} [pc] - The peer connection the stream belongs to
  */
-export function recordInput(stream) {
+export function recordInput(stream, pc) {
     if (!isEnabled) return;
-    startInputRecording(stream);
+    const session = findInputSession(stream, pc);
+    if (!session) {
+        log('No session found for input stream');
+        return;
+    }
+    startInputRecording(session, stream);
+}
+
+/**
+ * Observe a Realtime WebSocket that wasn't created through the patched
+ * global, e.g. a Node `ws` client or a socket opened before `enable()`.
+ * 
+ * @param {WebSocket} ws - An open or connecting Realtime API WebSocket
+ * @returns {WebSocket} The same socket
+ */
+export function observeWebSocket(ws) {
+    if (!isEnabled || sessions.has(ws)) return ws;
+    return wrapWebSocket(ws);
 }
 
 /**
- * Get the current session's audio blobs for download/playback.
+ * Observe a Realtime session exposed as an event emitter, e.g. a server-side
+ * relay or an SDK client that emits parsed server events and sends client
+ * events through a method. Works with Node's `EventEmitter` or anything with `on()`.
+ * 
+ * @param {EventEmitter} emitter - The session object to observe
+ * @param {Object} [options]
+ * @param {string} [options.incoming='event'] - Event carrying server events (objects or JSON strings)
+ * @param {string} [options.outgoing='send'] - Method used to send client events
+ * @param {string} [options.close='close'] - Event signalling the session has ended
+ * @returns {EventEmitter} The same emitter
+ */
+export function observeEmitter(emitter, options = {}) {
+    if (!isEnabled || sessions.has(emitter)) return emitter;
+
+    const { incoming = 'event', outgoing = 'send', close = 'close' } = options;
+    const session = startSession(emitter, 'websocket');
+    const record = (data, direction) => {
+        if (data && typeof data === 'object' && !ArrayBuffer.isView(data) && !(data instanceof ArrayBuffer)) {
+            recordRealtimeEvent(session, data, direction);
+        } else {
+            recordMessage(session, data, direction);
+        }
+    };
+
+    // Listen until the session is unwrapped
+    const on = (type, listener) => {
+        emitter.on(type, listener);
+        session.unwrap.push(() => (emitter.off || emitter.removeListener)?.call(emitter, type, listener));
+    };
+
+    on(incoming, (data) => record(data, 'incoming'));
+
+    if (typeof emitter[outgoing] === 'function') {
+        const origSend = emitter[outgoing];
+        override(session, emitter, outgoing, function(data, ...rest) {
+            record(data, 'outgoing');
+            return origSend.call(this, data, ...rest);
+        });
+    }
+
+    on(close, () => endSession(session));
+
+    return emitter;
+}
+
+/**
+ * Get a session's audio blobs for download/playback.
  * Returns null if no session is active.
+ * WebRTC sessions return WebM/Opus, WebSocket sessions return WAV.
+ * 
+ * @param {RTCPeerConnection|WebSocket|EventEmitter} [connection] - The connection to get audio for
+ *   (defaults to the most recently created session)
  */
-export function getSessionAudio() {
-    if (!sessionData) return null;
+export function getSessionAudio(connection) {
+    const session = connection ? sessions.get(connection) : Array.from(sessions.values()).pop();
+    if (!session) return null;
+
+    if (session.audioFormat === 'pcm16') {
+        const toWav = (chunks) => {
+            const length = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+            return new Blob([wavHeader(length), ...chunks], { type: 'audio/wav' });
+        };
+        return {
+            input: session.inputBlobs.length > 0 ? toWav(session.inputBlobs) : null,
+            output: session.outputBlobs.length > 0 ? toWav(session.outputBlobs) : null,
+        };
+    }
     
     return {
-        input: allInputBlobs.length > 0 
-            ? new Blob(allInputBlobs, { type: 'audio/webm;codecs=opus' })
+        input: session.inputBlobs.length > 0 
+            ? new Blob(session.inputBlobs, { type: 'audio/webm;codecs=opus' })
             : null,
-        output: allOutputBlobs.length > 0
-            ? new Blob(allOutputBlobs, { type: 'audio/webm;codecs=opus' })
+        output: session.outputBlobs.length > 0
+            ? new Blob(session.outputBlobs, { type: 'audio/webm;codecs=opus' })
             : null,
     };
 }
 
-// Auto-disable on page unload
+// End sessions and hand queued payloads to sendBeacon on page unload
 if (typeof window !== 'undefined') {
-    window.addEventListener('beforeunload', () => {
-        if (sessionData) endSession();
-    });
+    const onUnload = () => {
+        for (const session of Array.from(sessions.values())) {
+            endSession(session, { immediate: true });
+        }
+        // Sessions still waiting for their recorders' last chunk
+        for (const session of Array.from(endingSessions)) {
+            finishSession(session);
+        }
+        transport?.flushOnUnload();
+    };
+    window.addEventListener('beforeunload', onUnload);
+    window.addEventListener('pagehide', onUnload);
 }
-
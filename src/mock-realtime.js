@@ -0,0 +1,466 @@
+/**
+ * Mock Realtime Server
+ *
+ * A stand-in for the OpenAI Realtime API for offline development and CI:
+ * no API key, no network. Each session plays a script of conversation
+ * turns (the user speaks, the assistant answers) as the events the API
+ * sends, with synthetic audio: a tone per word, so turns have audio of a
+ * plausible length without bundling recordings.
+ *
+ * - WebSocket: `attachMockRealtime(server)` answers at `/v1/realtime`; the
+ *   assistant's audio arrives as `response.output_audio.delta` events.
+ * - WebRTC: `answerMockOffer(sdp)` answers an SDP offer with a Node peer and
+ *   plays the audio on its track. That needs a Node WebRTC stack, which isn't
+ *   a dependency: `npm install @roamhq/wrtc` to enable it.
+ *
+ * The session also reacts to the client: `session.update` is acknowledged,
+ * `response.create` answers with the script's next reply (or a stock one)
+ * and `response.cancel` cuts the response short. Input audio is ignored.
+ */
+
+import { WebSocketServer } from "ws";
+import { PCM16_SAMPLE_RATE } from "./pcm.js";
+
+export const DEFAULT_SCRIPT = [
+    { user: "Hi, can you hear me?", assistant: "Yes, I can hear you clearly. How can I help you today?" },
+    { user: "Tell me something interesting.", assistant: "Honey never spoils. Archaeologists have found edible honey in ancient Egyptian tombs." },
+];
+
+const STOCK_REPLY = "This is a mock response.";
+
+const WORD_MS = 300;            // Synthetic speech per word
+const TURN_PAUSE_MS = 1000;     // Silence before each scripted turn
+const TRANSCRIBE_MS = 200;      // Input transcription delay
+const DELTA_MS = 100;           // Audio per output_audio.delta
+const DELTA_PACE_MS = 20;       // The API streams audio faster than real time
+
+// WebRTC audio tracks take 10ms frames at 48kHz
+const WEBRTC_SAMPLE_RATE = 48000;
+const WEBRTC_FRAME = WEBRTC_SAMPLE_RATE / 100;
+
+function log(...args) {
+    console.log("[MockRealtime]", ...args);
+}
+
+// ============================================================
+// SESSION
+// ============================================================
+
+/**
+ * A mock Realtime session. Events go out through `send(event)`; client
+ * events come in through `receive(event)`. The script starts playing right
+ * away (`session.created` first) and `close()` stops everything.
+ *
+ * @param {Object} options
+ * @param {(event: Object) => void} options.send - Send a server event to the client
+ * @param {'websocket'|'webrtc'} [options.transport='websocket'] - WebSocket sessions
+ *   stream audio as events; WebRTC sessions play it on `audioTrack`
+ * @param {{ play: (pcm: Int16Array) => void, stop: () => void }} [options.audioTrack] -
+ *   WebRTC only: plays 48kHz PCM16 in real time
+ * @param {{ user?: string, assistant?: string }[]} [options.script] - Turns to play.
+ *   The user speaks, then the assistant answers. A turn without `assistant`
+ *   waits for the client's `response.create`; one without `user` is the
+ *   reply to the next `response.create` instead of being played.
+ * @param {number} [options.speed=1] - Timing factor, e.g. 10 for tests. WebRTC
+ *   audio still plays in real time.
+ */
+export function createMockSession({ send, transport = "websocket", audioTrack = null, script = DEFAULT_SCRIPT, speed = 1 }) {
+    const startedAt = Date.now();
+    const timers = new Set();
+    let closed = false;
+    let counter = 0;
+    let lastItemId = null;
+    let active = null;          // The response in progress
+    const replies = script.filter((turn) => turn.assistant && !turn.user).map((turn) => turn.assistant);
+
+    let session = {
+        id: nextId("sess"),
+        object: "realtime.session",
+        type: "realtime",
+        model: "gpt-realtime",
+        output_modalities: ["audio"],
+        audio: {
+            input: {
+                format: { type: "audio/pcm", rate: PCM16_SAMPLE_RATE },
+                transcription: { model: "gpt-4o-transcribe" },
+                turn_detection: { type: "server_vad" },
+            },
+            output: { format: { type: "audio/pcm", rate: PCM16_SAMPLE_RATE }, voice: "marin" },
+        },
+    };
+
+    function nextId(prefix) {
+        return `${prefix}_mock${String(++counter).padStart(6, "0")}`;
+    }
+
+    function emit(event) {
+        if (!closed) send({ event_id: nextId("event"), ...event });
+    }
+
+    function wait(ms) {
+        return new Promise((resolve) => {
+            const timer = setTimeout(() => {
+                timers.delete(timer);
+                resolve();
+            }, ms / speed);
+            timers.add(timer);
+        });
+    }
+
+    // Audio time as the API counts it: from the start of the session
+    const audioMs = () => Math.round((Date.now() - startedAt) * speed);
+
+    async function userTurn(text) {
+        const itemId = nextId("item");
+        emit({ type: "input_audio_buffer.speech_started", audio_start_ms: audioMs(), item_id: itemId });
+        await wait(speechMs(text));
+        emit({ type: "input_audio_buffer.speech_stopped", audio_end_ms: audioMs(), item_id: itemId });
+        emit({ type: "input_audio_buffer.committed", previous_item_id: lastItemId, item_id: itemId });
+        emit({
+            type: "conversation.item.added",
+            previous_item_id: lastItemId,
+            item: { id: itemId, object: "realtime.item", type: "message", status: "completed", role: "user", content: [{ type: "input_audio", transcript: null }] },
+        });
+        lastItemId = itemId;
+        // Transcripts come only when transcription is configured, as with the API
+        if (!session.audio?.input?.transcription && !session.input_audio_transcription) return;
+        await wait(TRANSCRIBE_MS);
+        emit({ type: "conversation.item.input_audio_transcription.completed", item_id: itemId, content_index: 0, transcript: text });
+    }
+
+    /**
+     * Answer with `text`, after the response in progress (if any).
+     */
+    async function respond(text) {
+        while (active) await active.finished;
+        const response = { id: nextId("resp"), cancelled: false };
+        active = response;
+        response.finished = streamResponse(response, text).finally(() => {
+            active = null;
+        });
+        return response.finished;
+    }
+
+    async function streamResponse(response, text) {
+        const item = { id: nextId("item"), object: "realtime.item", type: "message", status: "in_progress", role: "assistant", content: [] };
+        const ids = { response_id: response.id, item_id: item.id, output_index: 0, content_index: 0 };
+        emit({ type: "response.created", response: { id: response.id, object: "realtime.response", status: "in_progress", output: [] } });
+        emit({ type: "response.output_item.added", response_id: response.id, output_index: 0, item });
+        emit({ type: "conversation.item.added", previous_item_id: lastItemId, item });
+        emit({ type: "response.content_part.added", ...ids, part: { type: "audio", transcript: "" } });
+        lastItemId = item.id;
+
+        const words = text.split(/\s+/).filter(Boolean);
+        if (transport === "webrtc") {
+            audioTrack?.play(synthesizeSpeech(text, WEBRTC_SAMPLE_RATE));
+            emit({ type: "output_audio_buffer.started", response_id: response.id });
+        }
+
+        let spoken = "";
+        for (const [i, word] of words.entries()) {
+            if (response.cancelled || closed) break;
+            if (transport === "webrtc") {
+                await wait(WORD_MS);
+            } else {
+                const pcm = synthesizeSpeech(word, PCM16_SAMPLE_RATE);
+                const samplesPerDelta = PCM16_SAMPLE_RATE * DELTA_MS / 1000;
+                for (let offset = 0; offset < pcm.length; offset += samplesPerDelta) {
+                    const chunk = pcm.subarray(offset, offset + samplesPerDelta);
+                    emit({ type: "response.output_audio.delta", ...ids, delta: Buffer.from(chunk.buffer, chunk.byteOffset, chunk.byteLength).toString("base64") });
+                    await wait(DELTA_PACE_MS);
+                }
+            }
+            const delta = i === 0 ? word : ` ${word}`;
+            spoken += delta;
+            emit({ type: "response.output_audio_transcript.delta", ...ids, delta });
+        }
+
+        if (response.cancelled) {
+            if (transport === "webrtc") {
+                audioTrack?.stop();
+                emit({ type: "output_audio_buffer.cleared", response_id: response.id });
+            }
+            emit({
+                type: "response.done",
+                response: {
+                    id: response.id,
+                    object: "realtime.response",
+                    status: "cancelled",
+                    status_details: { type: "cancelled", reason: "client_cancelled" },
+                    output: [{ ...item, status: "incomplete", content: [{ type: "output_audio", transcript: spoken }] }],
+                    usage: usage(spoken),
+                },
+            });
+            return;
+        }
+
+        const done = { ...item, status: "completed", content: [{ type: "output_audio", transcript: text }] };
+        emit({ type: "response.output_audio.done", ...ids });
+        emit({ type: "response.output_audio_transcript.done", ...ids, transcript: text });
+        emit({ type: "response.content_part.done", ...ids, part: { type: "audio", transcript: text } });
+        emit({ type: "response.output_item.done", response_id: response.id, output_index: 0, item: done });
+        emit({
+            type: "response.done",
+            response: { id: response.id, object: "realtime.response", status: "completed", output: [done], usage: usage(text) },
+        });
+        if (transport === "webrtc") {
+            emit({ type: "output_audio_buffer.stopped", response_id: response.id });
+        }
+    }
+
+    async function playScript() {
+        // Once the caller has the session, as if the connection took a moment
+        await wait(0);
+        emit({ type: "session.created", session });
+        for (const turn of script) {
+            if (!turn.user) continue;
+            await wait(TURN_PAUSE_MS);
+            if (closed) return;
+            await userTurn(turn.user);
+            if (turn.assistant) await respond(turn.assistant);
+        }
+    }
+
+    playScript();
+
+    return {
+        receive(event) {
+            switch (event.type) {
+                case "session.update":
+                    session = { ...session, ...event.session, id: session.id };
+                    emit({ type: "session.updated", session });
+                    break;
+                case "response.create":
+                    if (active) {
+                        emit({
+                            type: "error",
+                            error: { type: "invalid_request_error", code: "conversation_already_has_active_response", message: "Conversation already has an active response in progress." },
+                        });
+                        break;
+                    }
+                    respond(replies.shift() ?? STOCK_REPLY);
+                    break;
+                case "response.cancel":
+                    if (active) active.cancelled = true;
+                    break;
+            }
+        },
+
+        close() {
+            closed = true;
+            for (const timer of timers) clearTimeout(timer);
+            timers.clear();
+            audioTrack?.stop();
+        },
+    };
+}
+
+function speechMs(text) {
+    return text.split(/\s+/).filter(Boolean).length * WORD_MS;
+}
+
+// Token counts in the shape of the API's `usage`, roughly proportional to the text
+function usage(text) {
+    const textTokens = Math.ceil(text.length / 4);
+    const audioTokens = Math.ceil(speechMs(text) / 50);
+    return {
+        total_tokens: 120 + textTokens + audioTokens,
+        input_tokens: 120,
+        output_tokens: textTokens + audioTokens,
+        input_token_details: { text_tokens: 100, audio_tokens: 20, cached_tokens: 0 },
+        output_token_details: { text_tokens: textTokens, audio_tokens: audioTokens },
+    };
+}
+
+/**
+ * Synthetic speech for `text`: per word, a tone (its pitch picked from the
+ * word) for most of WORD_MS, then a short silence. Mono PCM16.
+ */
+export function synthesizeSpeech(text, sampleRate = PCM16_SAMPLE_RATE) {
+    const words = text.split(/\s+/).filter(Boolean);
+    const wordSamples = sampleRate * WORD_MS / 1000;
+    const toneSamples = Math.round(wordSamples * 0.8);
+    const pcm = new Int16Array(words.length * wordSamples);
+
+    words.forEach((word, w) => {
+        const frequency = 180 + (word.charCodeAt(0) % 12) * 20;
+        for (let i = 0; i < toneSamples; i++) {
+            // Ramp in and out so words don't click
+            const envelope = Math.min(1, i / 240, (toneSamples - i) / 240);
+            pcm[w * wordSamples + i] = Math.round(8000 * envelope * Math.sin(2 * Math.PI * frequency * i / sampleRate));
+        }
+    });
+    return pcm;
+}
+
+// ============================================================
+// WEBSOCKET
+// ============================================================
+
+/**
+ * Answer Realtime WebSocket connections at `path` on an HTTP server.
+ * Options are those of `createMockSession` (except `send`).
+ *
+ * @returns {WebSocketServer}
+ */
+export function attachMockRealtime(server, { path = "/v1/realtime", ...options } = {}) {
+    const wss = new WebSocketServer({ noServer: true });
+
+    server.on("upgrade", (req, socket, head) => {
+        const { pathname } = new URL(req.url, `http://${req.headers.host}`);
+        if (pathname !== path) {
+            socket.destroy();
+            return;
+        }
+        wss.handleUpgrade(req, socket, head, (ws) => wss.emit("connection", ws, req));
+    });
+
+    wss.on("connection", (ws) => {
+        log("🔌 WebSocket session started");
+        const session = createMockSession({
+            ...options,
+            transport: "websocket",
+            send: (event) => {
+                if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(event));
+            },
+        });
+
+        ws.on("message", (data) => {
+            try {
+                session.receive(JSON.parse(data));
+            } catch {
+                // Not JSON: the API would send an error, the mock ignores it
+            }
+        });
+        ws.on("close", () => {
+            session.close();
+            log("🔌 WebSocket session ended");
+        });
+    });
+
+    server.on("close", () => {
+        for (const ws of wss.clients) ws.terminate();
+    });
+
+    return wss;
+}
+
+// ============================================================
+// WEBRTC
+// ============================================================
+
+async function loadWebRtc() {
+    try {
+        return (await import("@roamhq/wrtc")).default;
+    } catch {
+        throw new Error("Mock WebRTC sessions need a Node WebRTC stack (npm install @roamhq/wrtc); WebSocket sessions work without one");
+    }
+}
+
+/**
+ * Answer a WebRTC SDP offer with a mock session: events on the client's
+ * `oai-events` data channel, synthetic audio on the answer's audio track.
+ * Options are those of `createMockSession` (except `send`).
+ *
+ * @returns {Promise<string>} The answer SDP
+ */
+export async function answerMockOffer(offer, options = {}) {
+    const { RTCPeerConnection, nonstandard } = await loadWebRtc();
+    const pc = new RTCPeerConnection();
+    const source = new nonstandard.RTCAudioSource();
+    const track = source.createTrack();
+    const audioTrack = createTrackPlayer(source);
+    let session = null;
+
+    const close = () => {
+        session?.close();
+        audioTrack.close();
+        track.stop();
+        pc.close();
+    };
+
+    pc.ondatachannel = ({ channel }) => {
+        if (channel.label !== "oai-events") return;
+        channel.onopen = () => {
+            log("📡 WebRTC session started");
+            session = createMockSession({
+                ...options,
+                transport: "webrtc",
+                audioTrack,
+                send: (event) => {
+                    if (channel.readyState === "open") channel.send(JSON.stringify(event));
+                },
+            });
+        };
+        channel.onmessage = ({ data }) => {
+            try {
+                session?.receive(JSON.parse(data));
+            } catch {
+                // Not JSON: ignored
+            }
+        };
+        channel.onclose = () => {
+            log("📡 WebRTC session ended");
+            close();
+        };
+    };
+    pc.onconnectionstatechange = () => {
+        if (pc.connectionState === "failed") close();
+    };
+
+    await pc.setRemoteDescription({ type: "offer", sdp: offer });
+
+    // The audio goes out on the client's audio transceiver
+    const transceiver = pc.getTransceivers().find((t) => t.receiver.track.kind === "audio");
+    if (transceiver) {
+        transceiver.direction = "sendrecv";
+        await transceiver.sender.replaceTrack(track);
+    } else {
+        pc.addTrack(track);
+    }
+
+    await pc.setLocalDescription(await pc.createAnswer());
+    if (pc.iceGatheringState !== "complete") {
+        await new Promise((resolve) => {
+            pc.onicegatheringstatechange = () => {
+                if (pc.iceGatheringState === "complete") resolve();
+            };
+        });
+    }
+    return pc.localDescription.sdp;
+}
+
+/**
+ * Feeds an RTCAudioSource 10ms frames in real time: the audio being played,
+ * or silence.
+ */
+function createTrackPlayer(source) {
+    const startedAt = Date.now();
+    let sent = 0;
+    let pcm = new Int16Array(0);
+    let offset = 0;
+
+    const timer = setInterval(() => {
+        const due = Math.floor((Date.now() - startedAt) / 10);
+        for (; sent < due; sent++) {
+            const samples = new Int16Array(WEBRTC_FRAME);
+            samples.set(pcm.subarray(offset, offset + WEBRTC_FRAME));
+            offset += WEBRTC_FRAME;
+            source.onData({ samples, sampleRate: WEBRTC_SAMPLE_RATE, bitsPerSample: 16, channelCount: 1, numberOfFrames: WEBRTC_FRAME });
+        }
+    }, 10);
+
+    return {
+        play(next) {
+            pcm = next;
+            offset = 0;
+        },
+        stop() {
+            pcm = new Int16Array(0);
+            offset = 0;
+        },
+        close() {
+            clearInterval(timer);
+        },
+    };
+}
@@ -0,0 +1,95 @@
+/**
+ * OpenAI Realtime API Observability - Node.js entry
+ *
+ * Observes Realtime sessions relayed from a Node.js backend. Uses the same
+ * session/turn model as the browser SDK, and either posts to an observability
+ * endpoint or records straight into an uploads directory in-process.
+ *
+ * Globals are left alone: a backend's `fetch` also carries its OpenAI REST
+ * and storage requests, so only the connections passed to `observeWebSocket`
+ * or `observeEmitter` are observed.
+ *
+ * @example
+ * import WebSocket from 'ws';
+ * import { enable, observeWebSocket } from 'realtime-observability/node';
+ *
+ * enable({ uploadsDir: './uploads' });
+ * // or: enable({ endpoint: 'http://localhost:3001/observability' });
+ *
+ * const ws = observeWebSocket(new WebSocket(url, { headers }));
+ */
+
+import { enable as enableSdk } from './index.js';
+import { configureRecorder, handlePayload } from './recorder.js';
+
+export {
+    disable,
+    isActive,
+    observeWebSocket,
+    observeEmitter,
+    getSessionAudio,
+} from './index.js';
+
+/**
+ * Enable observability in Node.js.
+ *
+ * Accepts every option of the browser `enable()` except `patchGlobals`, plus:
+ *
+ * @param {Object} options Configuration options
+ * @param {string} [options.uploadsDir] - Record sessions directly into this directory
+ *   (and to LangSmith, if configured) instead of posting them to `endpoint`
+ * @param {Object} [options.storage] - Record into this storage backend instead, e.g.
+ *   `createS3Storage(...)` from `realtime-observability/storage`
+ * @param {Object} [options.prices] - Token prices per model for cost tracking when
+ *   recording in-process, merged over the defaults in pricing.js
+ * @param {Object[]} [options.exporters] - Trace exporters when recording in-process,
+ *   e.g. `createOtlpExporter(...)` from `realtime-observability/exporters/otlp`;
+ *   defaults to LangSmith only
+ * @param {string[]} [options.audioFormats] - Formats turn audio is exported in when
+ *   recording in-process: 'wav', 'ogg', 'mp3' (default: wav and ogg)
+ *
+ * `redact` is applied by the SDK and, when recording in-process, by the
+ * recorder as well, where `redact.dropAudio` takes effect.
+ */
+export function enable(options = {}) {
+    const { uploadsDir, storage, prices, exporters, audioFormats, ...rest } = options;
+
+    if (uploadsDir || storage) {
+        configureRecorder({ uploadsDir, storage, prices, exporters, audioFormats, redact: rest.redact });
+        rest.transport = createDirectTransport(rest.debug);
+    }
+
+    enableSdk({ ...rest, patchGlobals: false });
+}
+
+/**
+ * A transport that hands payloads to the session recorder in-process.
+ * Payloads are processed one at a time, in order, like the server does.
+ */
+function createDirectTransport(debug) {
+    let queue = Promise.resolve();
+    let closed = false;
+
+    return {
+        binary: true,
+        send(payload, binary) {
+            if (closed) return;
+            if (binary && payload.audio) {
+                payload.audio.data = Buffer.from(ArrayBuffer.isView(binary) ? binary : new Uint8Array(binary));
+            }
+            queue = queue
+                .then(() => handlePayload(payload))
+                .then(({ error }) => error, (err) => err.message)
+                .then((error) => {
+                    if (error && debug) {
+                        console.log('[RealtimeObservability]', `Recorder rejected ${payload.type}:`, error);
+                    }
+                });
+        },
+        flush: () => queue,
+        flushOnUnload() {},
+        close() {
+            closed = true;
+        },
+    };
+}
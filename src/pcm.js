@@ -0,0 +1,64 @@
+/**
+ * PCM16 helpers
+ *
+ * The Realtime API's WebSocket transport carries audio as base64-encoded
+ * 16-bit little-endian mono PCM (24kHz by default). These helpers decode it
+ * and wrap it in a WAV container. Shared by the browser SDK and the server,
+ * so they only rely on typed arrays.
+ */
+
+export const PCM16_SAMPLE_RATE = 24000;
+
+/**
+ * Decode a base64 string into bytes.
+ */
+export function base64ToBytes(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+/**
+ * Encode bytes as a base64 string.
+ */
+export function bytesToBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+/**
+ * Build the 44-byte RIFF/WAVE header for `dataLength` bytes of PCM16 audio.
+ */
+export function wavHeader(dataLength, sampleRate = PCM16_SAMPLE_RATE, channels = 1) {
+    const header = new Uint8Array(44);
+    const view = new DataView(header.buffer);
+    const blockAlign = channels * 2;
+
+    writeAscii(header, 0, 'RIFF');
+    view.setUint32(4, 36 + dataLength, true);
+    writeAscii(header, 8, 'WAVE');
+    writeAscii(header, 12, 'fmt ');
+    view.setUint32(16, 16, true);              // fmt chunk size
+    view.setUint16(20, 1, true);               // PCM
+    view.setUint16(22, channels, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * blockAlign, true);
+    view.setUint16(32, blockAlign, true);
+    view.setUint16(34, 16, true);              // bits per sample
+    writeAscii(header, 36, 'data');
+    view.setUint32(40, dataLength, true);
+
+    return header;
+}
+
+function writeAscii(bytes, offset, text) {
+    for (let i = 0; i < text.length; i++) {
+        bytes[offset + i] = text.charCodeAt(i);
+    }
+}
@@ -0,0 +1,72 @@
+/**
+ * Realtime API Pricing
+ *
+ * Turns `response.done` token usage into cost. Prices are USD per 1M tokens,
+ * keyed by model name; a model matches the longest key it starts with, so
+ * dated snapshots (e.g. `gpt-realtime-2025-08-28`) use their family's price.
+ *
+ * The defaults reflect OpenAI's published prices at the time of writing.
+ * Override or extend them with `configureRecorder({ prices })`, or the
+ * REALTIME_PRICES env var on the server.
+ */
+
+export const DEFAULT_PRICES = {
+    'gpt-realtime': {
+        textInput: 4, textCachedInput: 0.4, textOutput: 16,
+        audioInput: 32, audioCachedInput: 0.4, audioOutput: 64,
+        imageInput: 5, imageCachedInput: 0.5,
+    },
+    'gpt-realtime-mini': {
+        textInput: 0.6, textCachedInput: 0.06, textOutput: 2.4,
+        audioInput: 10, audioCachedInput: 0.3, audioOutput: 20,
+        imageInput: 0.8, imageCachedInput: 0.08,
+    },
+    'gpt-4o-realtime-preview': {
+        textInput: 5, textCachedInput: 2.5, textOutput: 20,
+        audioInput: 40, audioCachedInput: 2.5, audioOutput: 80,
+    },
+    'gpt-4o-mini-realtime-preview': {
+        textInput: 0.6, textCachedInput: 0.3, textOutput: 2.4,
+        audioInput: 10, audioCachedInput: 0.3, audioOutput: 20,
+    },
+};
+
+/**
+ * Find the price entry for a model, or null if it isn't in the table.
+ */
+export function priceFor(model, prices = DEFAULT_PRICES) {
+    if (!model) return null;
+    const key = Object.keys(prices)
+        .filter((name) => model.startsWith(name))
+        .sort((a, b) => b.length - a.length)[0];
+    return key ? prices[key] : null;
+}
+
+/**
+ * Cost in USD of normalized usage (see `normalizeUsage` in turns.js).
+ * Cached tokens are part of the input counts and billed at the cached rate.
+ */
+export function computeCost(usage, price) {
+    if (!usage || !price) return null;
+
+    const { input, output } = usage;
+    const rate = (tokens, perMillion) => (tokens * (perMillion || 0)) / 1e6;
+
+    const inputCost =
+        rate(input.text - input.cachedText, price.textInput) +
+        rate(input.cachedText, price.textCachedInput) +
+        rate(input.audio - input.cachedAudio, price.audioInput) +
+        rate(input.cachedAudio, price.audioCachedInput) +
+        rate(input.image - input.cachedImage, price.imageInput) +
+        rate(input.cachedImage, price.imageCachedInput);
+    const outputCost =
+        rate(output.text, price.textOutput) +
+        rate(output.audio, price.audioOutput);
+
+    const round = (usd) => Math.round(usd * 1e6) / 1e6;
+    return {
+        input: round(inputCost),
+        output: round(outputCost),
+        total: round(inputCost + outputCost),
+    };
+}
@@ -0,0 +1,858 @@
+/**
+ * Session Recorder
+ * 
+ * Turns observability payloads from the SDK into recorded sessions: assembles
+ * turns from realtime events and audio chunks, writes them to the uploads
+ * directory and hands them to the exporters (LangSmith by default, see
+ * exporters/) to be sent as traces.
+ * 
+ * Used by the LangSmith server and, in-process, by the Node.js SDK entry.
+ */
+
+import { fileURLToPath } from "url";
+import { dirname, join } from "path";
+import { PCM16_SAMPLE_RATE } from "./pcm.js";
+import { createTurnState, applyEvent, applyAudio, flushTurns, summarizeLatency, summarizeUsage, onRealtimeChannel } from "./turns.js";
+import { DEFAULT_PRICES, priceFor, computeCost } from "./pricing.js";
+import { createConfigHistory, applyConfigEvent, currentConfig } from "./session-config.js";
+import { getSessionIndex, indexEntry } from "./session-index.js";
+import { createFileStorage } from "./storage.js";
+import { webmToOgg, decodeToPcm, encodePcm, pcmToWav, mixStereoWav } from "./transcode.js";
+import { isWebmHeader, initSegment, remuxWebm } from "./webm.js";
+import { createAudioStream, appendAudio, sliceAudio, pruneAudio } from "./audio-stream.js";
+import { createRedactor } from "./redact.js";
+import { createLangSmithExporter } from "./exporters/langsmith.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+let storage = createFileStorage(join(__dirname, "..", "uploads"));
+let prices = DEFAULT_PRICES;
+let exporters = [createLangSmithExporter()];
+let audioFormats = ["wav", "ogg"];
+let redactor = null;
+let dropRedactedAudio = false;
+
+const AUDIO_MIME_TYPES = { wav: "audio/wav", ogg: "audio/ogg", mp3: "audio/mpeg", webm: "audio/webm" };
+
+/**
+ * Configure where sessions are written, how token usage is priced and where
+ * traces are exported.
+ * 
+ * @param {Object} options
+ * @param {Object} [options.storage] - Storage backend for session artifacts (see storage.js)
+ * @param {string} [options.uploadsDir] - Shorthand for local storage in this directory
+ * @param {Object} [options.prices] - Per-model prices in USD per 1M tokens,
+ *   merged over the defaults (see pricing.js)
+ * @param {Object[]} [options.exporters] - Trace exporters, replacing the default
+ *   LangSmith exporter (see exporters/)
+ * @param {string[]} [options.audioFormats=['wav', 'ogg']] - Formats turn audio is exported
+ *   in besides the recorded one: 'wav', 'ogg' and 'mp3' (see transcode.js)
+ * @param {boolean|Object} [options.redact] - Redact personal data from events, transcripts
+ *   and tool calls before they're written or exported: `true` for the built-in detectors,
+ *   or `{ detectors, rules, dropAudio }` (see redact.js); `dropAudio` also leaves out
+ *   the audio of turns something was redacted from
+ */
+export function configureRecorder(options = {}) {
+    if (options.storage) {
+        storage = options.storage;
+    } else if (options.uploadsDir) {
+        storage = createFileStorage(options.uploadsDir);
+    }
+    if (options.prices) {
+        prices = { ...DEFAULT_PRICES, ...options.prices };
+    }
+    if (options.exporters) {
+        exporters = options.exporters;
+    }
+    if (options.audioFormats) {
+        audioFormats = options.audioFormats;
+    }
+    if (options.redact !== undefined) {
+        redactor = createRedactor(options.redact);
+        dropRedactedAudio = !!options.redact?.dropAudio;
+    }
+}
+
+/**
+ * Number of sessions that have started but not ended yet.
+ */
+export function activeSessionCount() {
+    return sessions.size;
+}
+
+// Track active sessions
+const sessions = new Map();
+
+// WebM initialization segments per session (needed to make each turn's audio playable)
+const webmInitSegments = new Map();
+
+// Listeners for live updates (see subscribe)
+const listeners = new Set();
+
+function log(...args) {
+    console.log("[LangSmith]", ...args);
+}
+
+/**
+ * Subscribe to live updates as payloads are handled. The listener is called
+ * with `(type, data)`, where `data.sessionId` is always set:
+ * - `session_start`: `{ startedAt, transport }`
+ * - `event`:         `{ event }`, every realtime event as received
+ * - `turn_start`:    `{ turn: { id, type, itemId | responseId | callId, name } }`
+ * - `transcript`:    `{ turnId, direction, delta }`, input and output transcript deltas
+ * - `turn_end`:      `{ turn }`, the turn's meta.json once saved
+ * - `session_end`:   `{ duration, eventCount, latency, usage }`
+ *
+ * Returns a function that unsubscribes.
+ */
+export function subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+function notify(type, data) {
+    for (const listener of listeners) {
+        try {
+            listener(type, data);
+        } catch (err) {
+            log(`⚠️  Live update listener failed:`, err.message);
+        }
+    }
+}
+
+/**
+ * Make a turn's WebM audio playable on its own: prepend the recording's
+ * initialization segment when the turn starts mid-recording, and rebuild
+ * the file with timestamps starting at 0, a duration and cues (see webm.js).
+ */
+function makePlayableWebm(sessionId, direction, audioBuffer) {
+    if (isWebmHeader(audioBuffer)) {
+        // The first turn of the recording
+        return remuxWebm(audioBuffer);
+    }
+
+    const init = webmInitSegments.get(`${sessionId}_${direction}`);
+    if (init) {
+        log(`📦 Prepending init segment (${init.length} bytes) to ${direction} audio`);
+        return remuxWebm(Buffer.concat([init, audioBuffer]));
+    }
+
+    // No init segment available, log first bytes for debugging
+    const firstBytes = audioBuffer.subarray(0, 8).toString("hex");
+    log(`⚠️  No WebM init segment available for ${direction} (first bytes: ${firstBytes})`);
+    return audioBuffer;
+}
+
+/**
+ * Where a turn's audio is in its direction's stream (see audio-stream.js):
+ * `{ startMs, endMs, startedAt }`, `startedAt` being the epoch ms of
+ * `startMs`. Null when the turn has to fall back to the chunks that arrived
+ * while it was open.
+ * - input: `audio_start_ms` / `audio_end_ms`, which count from the first
+ *   audio the Realtime API received. That's the start of a PCM16 stream; a
+ *   recording is matched to them through the clock (the buffer's estimated
+ *   origin and the recorder's start).
+ * - output (WebRTC): the playback window, `output_audio_buffer.started`
+ *   to `.stopped` / `.cleared`
+ */
+function audioWindow(session, turn) {
+    const stream = session.audio[turn.type];
+    if (!stream?.format) return null;
+
+    if (turn.type === "input") {
+        if (turn.audioStartMs == null || turn.audioEndMs == null) return null;
+        const origin = session.turnState.audio.input.origin;
+        if (stream.format === "pcm16") {
+            return {
+                startMs: turn.audioStartMs,
+                endMs: turn.audioEndMs,
+                startedAt: origin != null ? origin + turn.audioStartMs : turn.audioStartedAt,
+            };
+        }
+        if (origin == null || stream.startedAt == null) return null;
+        return {
+            startMs: origin + turn.audioStartMs - stream.startedAt,
+            endMs: origin + turn.audioEndMs - stream.startedAt,
+            startedAt: origin + turn.audioStartMs,
+        };
+    }
+
+    if (stream.startedAt == null || !turn.audioStartedAt || !turn.audioEndedAt) return null;
+    return {
+        startMs: turn.audioStartedAt - stream.startedAt,
+        endMs: turn.audioEndedAt - stream.startedAt,
+        startedAt: turn.audioStartedAt,
+    };
+}
+
+/**
+ * Where an open turn's audio starts in its direction's stream, as in
+ * `audioWindow`. Null if it hasn't started or can't be placed.
+ */
+function audioStartMs(session, turn) {
+    const stream = session.audio[turn.type];
+    if (turn.type === "input") {
+        if (turn.audioStartMs == null) return null;
+        if (stream.format === "pcm16") return turn.audioStartMs;
+        const origin = session.turnState.audio.input.origin;
+        return origin != null && stream.startedAt != null ? origin + turn.audioStartMs - stream.startedAt : null;
+    }
+    return stream.startedAt != null && turn.audioStartedAt ? turn.audioStartedAt - stream.startedAt : null;
+}
+
+/**
+ * The OpenAI IDs a turn is correlated by and how it ended, for meta.json.
+ */
+function turnIds(turn) {
+    return turn.type === "input"
+        ? {
+            itemId: turn.itemId,
+            previousItemId: turn.previousItemId,
+            transcriptError: turn.transcriptError || undefined,
+            configVersion: turn.configVersion,
+        }
+        : {
+            responseId: turn.responseId,
+            configVersion: turn.configVersion,
+            itemIds: turn.itemIds,
+            status: turn.status,
+            interrupted: turn.interrupted,
+            interruption: turn.interruption || undefined,
+            fullTranscript: turn.interrupted ? turn.fullTranscript : undefined,
+            latency: turn.latency,
+            usage: turn.usage || undefined,
+        };
+}
+
+/**
+ * Cost of some token usage at the session model's price, or null when the
+ * usage or the model's price is unknown.
+ */
+function usageCost(session, usage) {
+    return computeCost(usage, priceFor(session.turnState.model, prices));
+}
+
+/**
+ * The turn a transcript delta event belongs to, with its text.
+ */
+function transcriptDelta(session, event) {
+    const { turns } = session.turnState;
+    switch (event.type) {
+        case "conversation.item.input_audio_transcription.delta":
+            return { turnId: turns.get(`input:${event.item_id}`)?.id ?? null, direction: "input", delta: event.delta };
+        case "response.output_audio_transcript.delta":
+        case "response.audio_transcript.delta":
+            return { turnId: turns.get(`output:${event.response_id}`)?.id ?? null, direction: "output", delta: event.delta };
+        default:
+            return null;
+    }
+}
+
+function openTurns(session) {
+    return Array.from(session.turnState.turns.values()).filter((turn) => !turn.finalized);
+}
+
+/**
+ * Call a method on every exporter. Exporters are independent: one that
+ * fails is logged and doesn't stop the others. Returns their results.
+ *
+ * An exporter is an object with a `name` and these async methods:
+ * - `startSession(session)`: returns IDs to store in session.json, e.g. `{ langsmithRunId }`
+ * - `exportTurn(session, turn, { audio: { data, mimeType } | null, cost })`
+ * - `exportToolCall(session, turn, { args, output })`: arguments and output, parsed
+ * - `endSession(session, { summary, latency, usage, config })`
+ */
+async function exportAll(method, ...args) {
+    const results = [];
+    for (const exporter of exporters) {
+        try {
+            results.push(await exporter[method](...args));
+        } catch (err) {
+            log(`⚠️  ${exporter.name} export failed (${method}):`, err.message);
+        }
+    }
+    return results;
+}
+
+/**
+ * Persist finalized turns in the background. Saves are chained per session
+ * so session_end can wait for all of them.
+ */
+function saveTurns(session, turns) {
+    for (const turn of turns) {
+        session.saving = session.saving
+            .then(() => saveTurn(session, turn))
+            .catch((err) => log(`⚠️  Failed to save turn ${turn.id}:`, err.message));
+    }
+}
+
+/**
+ * Audio arrives base64-encoded over HTTP and as raw bytes over WebSocket.
+ */
+function toBuffer(data) {
+    return Buffer.isBuffer(data) ? data : Buffer.from(data, "base64");
+}
+
+// Storage key prefix of a turn's artifacts, e.g. "<sessionId>/turn-01-input/"
+function turnKey(session, turn) {
+    return `${session.id}/turn-${String(turn.id).padStart(2, "0")}-${turn.type}/`;
+}
+
+/**
+ * Arguments are streamed as a JSON string; keep the raw text if it doesn't parse.
+ */
+function parseArguments(text) {
+    try {
+        return JSON.parse(text);
+    } catch {
+        return text;
+    }
+}
+
+async function saveToolCall(session, turn) {
+    const turnDir = turnKey(session, turn);
+
+    const call = {
+        id: turn.id,
+        type: turn.type,
+        callId: turn.callId,
+        name: turn.name,
+        itemId: turn.itemId,
+        responseId: turn.responseId,
+        configVersion: turn.configVersion,
+        arguments: parseArguments(turn.arguments),
+        output: turn.output,
+        calledAt: turn.timing.calledAt != null ? new Date(turn.timing.calledAt).toISOString() : null,
+        outputAt: turn.timing.outputAt != null ? new Date(turn.timing.outputAt).toISOString() : null,
+        durationMs: turn.durationMs,
+        startedAt: turn.startedAt,
+        redacted: turn.redacted || undefined,
+    };
+    await storage.write(`${turnDir}meta.json`, JSON.stringify(call, null, 2));
+    notify("turn_end", { sessionId: session.id, turn: call });
+    log(`🔧 Tool call: ${turn.name || "(unnamed)"}(${turn.arguments.substring(0, 50)}${turn.arguments.length > 50 ? "..." : ""})`);
+
+    await exportAll("exportToolCall", session, turn, {
+        args: call.arguments,
+        output: parseArguments(turn.output ?? "null"),
+    });
+
+    log(`✅ Turn ${turn.id} (tool) saved`);
+}
+
+/**
+ * Save a turn's audio as recorded (WAV for PCM16, WebM otherwise) and in the
+ * configured export formats, and keep its PCM for the session recording.
+ * The audio is cut from the session's stream when the turn's window in it
+ * is known, and otherwise made of the chunks that arrived during the turn.
+ * Returns the saved audio by format.
+ */
+async function saveTurnAudio(session, turn, turnDir) {
+    const audio = {};
+    const stream = session.audio[turn.type];
+    const range = audioWindow(session, turn);
+    const sliced = range && sliceAudio(stream, range.startMs, range.endMs);
+    if (range && !sliced) {
+        log(`⚠️  Turn ${turn.id} audio range not in the ${turn.type} stream, using its chunks`);
+    }
+    if (!sliced && turn.audioChunks.length === 0) return audio;
+
+    const format = sliced ? stream.format : turn.audioFormat;
+    const sampleRate = turn.sampleRate || stream.sampleRate || PCM16_SAMPLE_RATE;
+    let pcm = null;
+
+    // Conversions are best effort; the recorded format is always saved
+    const convert = async (format, fn) => {
+        try {
+            return await fn();
+        } catch (err) {
+            log(`⚠️  Failed to convert turn ${turn.id} audio to ${format}:`, err.message);
+            return null;
+        }
+    };
+
+    let rawBuffer = sliced || Buffer.concat(turn.audioChunks.map(toBuffer));
+
+    if (format === "pcm16") {
+        // Drop generated audio the user never heard because they interrupted
+        const heardMs = turn.interruption?.heardMs;
+        if (heardMs != null) {
+            const bytesPerMs = sampleRate * 2 / 1000;
+            const heardBytes = Math.round(heardMs * bytesPerMs) & ~1; // whole samples
+            rawBuffer = rawBuffer.subarray(0, Math.min(rawBuffer.length, heardBytes));
+        }
+        pcm = rawBuffer;
+        audio.wav = pcmToWav(pcm, sampleRate);
+    } else {
+        // A slice is already a standalone file; chunks need WebM headers
+        audio.webm = sliced || makePlayableWebm(session.id, turn.type, rawBuffer);
+        if (audioFormats.includes("ogg")) {
+            audio.ogg = await convert("ogg", () => webmToOgg(audio.webm));
+        }
+        // Decoding needs ffmpeg; without it there's no WAV and no place in the recording
+        pcm = await convert("pcm", () => decodeToPcm(audio.webm, sampleRate));
+        if (pcm && audioFormats.includes("wav")) {
+            audio.wav = pcmToWav(pcm, sampleRate);
+        }
+    }
+
+    for (const format of ["ogg", "mp3"]) {
+        if (audioFormats.includes(format) && !audio[format] && pcm) {
+            audio[format] = await convert(format, () => encodePcm(pcm, format, sampleRate));
+        }
+    }
+
+    for (const [format, data] of Object.entries(audio)) {
+        if (!data) {
+            delete audio[format];
+            continue;
+        }
+        await storage.write(`${turnDir}audio.${format}`, data);
+    }
+    log(`🎵 Audio: ${Object.entries(audio).map(([format, data]) => `${format} ${(data.length / 1024).toFixed(1)} KB`).join(", ")}`);
+
+    const startedAt = sliced ? range.startedAt : turn.audioStartedAt;
+    if (pcm?.length && startedAt) {
+        session.recording.push({
+            channel: turn.type === "input" ? "left" : "right",
+            offsetMs: startedAt - (Date.parse(session.startedAt) || startedAt),
+            pcm,
+            sampleRate,
+        });
+    }
+
+    // Later turns only need the stream from where the earliest open one starts
+    if (sliced) {
+        const starts = Array.from(session.turnState.turns.values())
+            .filter((other) => other.type === turn.type && !other.finalized)
+            .map((other) => audioStartMs(session, other))
+            .filter((startMs) => startMs != null);
+        pruneAudio(stream, Math.min(range.endMs, ...starts));
+    }
+    return audio;
+}
+
+/**
+ * Redact a finished turn's text as a whole: events are redacted one by one,
+ * which misses personal data split across transcript or argument deltas.
+ */
+function redactTurn(turn) {
+    for (const field of ["transcript", "fullTranscript", "arguments", "output"]) {
+        if (typeof turn[field] !== "string") continue;
+        const { text, found } = redactor.redactText(turn[field]);
+        turn[field] = text;
+        if (found.length > 0) turn.redacted = true;
+    }
+}
+
+async function saveTurn(session, turn) {
+    if (redactor) redactTurn(turn);
+    if (turn.type === "tool") return saveToolCall(session, turn);
+
+    const turnDir = turnKey(session, turn);
+
+    // Save transcript
+    if (turn.transcript) {
+        await storage.write(`${turnDir}transcript.txt`, turn.transcript);
+        log(`📝 Transcript: "${turn.transcript.substring(0, 50)}${turn.transcript.length > 50 ? "..." : ""}"`);
+    }
+
+    let audio = {};
+    if (turn.redacted && dropRedactedAudio) {
+        log(`🔒 Turn ${turn.id} audio dropped: personal data was redacted from it`);
+    } else {
+        audio = await saveTurnAudio(session, turn, turnDir);
+    }
+
+    const cost = turn.usage ? usageCost(session, turn.usage) : null;
+
+    // Save turn metadata
+    const meta = {
+        id: turn.id,
+        type: turn.type,
+        ...turnIds(turn),
+        cost: cost || undefined,
+        startedAt: turn.startedAt,
+        audioChunks: turn.audioChunks.length,
+        audioFormats: Object.keys(audio),
+        transcriptLength: turn.transcript?.length || 0,
+        redacted: turn.redacted || undefined,
+    };
+    await storage.write(`${turnDir}meta.json`, JSON.stringify(meta, null, 2));
+    notify("turn_end", { sessionId: session.id, turn: { ...meta, transcript: turn.transcript } });
+
+    // Exporters get the most widely playable format
+    const format = ["wav", "ogg", "webm", "mp3"].find((name) => audio[name]);
+    await exportAll("exportTurn", session, turn, {
+        audio: format ? { data: audio[format], mimeType: AUDIO_MIME_TYPES[format] } : null,
+        cost,
+    });
+
+    log(`✅ Turn ${turn.id} (${turn.type}) saved`);
+}
+
+/**
+ * Apply an event of the Realtime conversation to the session's configuration
+ * history and turns.
+ */
+function applyRealtimeEvent(session, event) {
+    const version = applyConfigEvent(session.config, event);
+    if (version) {
+        log(version.version === 1
+            ? `⚙️  Session config v1 (${version.config.model || "unknown model"})`
+            : `⚙️  Session config v${version.version}: ${version.changes.map((change) => change.path).join(", ")} changed`);
+    }
+
+    const wasOpen = new Set(openTurns(session));
+    saveTurns(session, applyEvent(session.turnState, event));
+
+    for (const turn of openTurns(session)) {
+        if (!wasOpen.has(turn)) {
+            // The configuration the turn was produced under
+            turn.configVersion = currentConfig(session.config)?.version ?? null;
+            log(turn.type === "input"
+                ? `🎤 Input turn ${turn.id} started (${turn.itemId || "no item"})`
+                : turn.type === "tool"
+                    ? `🔧 Tool call ${turn.id} started (${turn.name || turn.callId || "no call"})`
+                    : `🔊 Output turn ${turn.id} started (${turn.responseId || "no response"})`);
+            notify("turn_start", {
+                sessionId: session.id,
+                turn: {
+                    id: turn.id,
+                    type: turn.type,
+                    itemId: turn.itemId,
+                    responseId: turn.responseId,
+                    callId: turn.callId,
+                    name: turn.name,
+                },
+            });
+        }
+    }
+
+    const delta = transcriptDelta(session, event);
+    if (delta) notify("transcript", { sessionId: session.id, ...delta });
+
+    if (event.type === "conversation.item.input_audio_transcription.completed" && event.transcript) {
+        log(`📝 Input transcript received: "${event.transcript.substring(0, 50)}${event.transcript.length > 50 ? "..." : ""}"`);
+    }
+}
+
+// The body each payload type carries
+const PAYLOAD_BODIES = {
+    session_start: "session",
+    event: "event",
+    audio: "audio",
+    session_end: "session",
+};
+
+const isObject = (value) => !!value && typeof value === "object" && !Array.isArray(value);
+
+const AUDIO_DIRECTIONS = ["input", "output"];
+
+// Fields of Realtime events that turn tracking reads as lists of objects
+const EVENT_LISTS = {
+    "item.content": (event) => event.item?.content,
+    "response.output": (event) => event.response?.output,
+    "rate_limits": (event) => event.rate_limits,
+};
+
+/**
+ * The field of a payload's body that has a type it can't be handled with,
+ * if any.
+ */
+function invalidField(type, body) {
+    if (type === "audio") {
+        const { data } = body;
+        return data == null || typeof data === "string" || Buffer.isBuffer(data) ? null : "audio.data";
+    }
+    if (type === "event") {
+        for (const [name, list] of Object.entries(EVENT_LISTS)) {
+            const value = list(body);
+            if (value != null && !(Array.isArray(value) && value.every(isObject))) return `event.${name}`;
+        }
+        if (body.transcript != null && typeof body.transcript !== "string") return "event.transcript";
+        if (body.redacted != null && !Array.isArray(body.redacted)) return "event.redacted";
+    }
+    return null;
+}
+
+/**
+ * Handle a single observability payload from the SDK.
+ * Returns `{ status, error? }` so callers can report per-payload results.
+ * Malformed payloads get a 400 rather than throwing.
+ */
+export async function handlePayload(payload) {
+    if (!isObject(payload)) {
+        log("⚠️  Rejected payload that isn't an object");
+        return { status: 400, error: "Invalid payload" };
+    }
+    const { type } = payload;
+
+    const body = PAYLOAD_BODIES[type];
+    if (body && !isObject(payload[body])) {
+        log(`⚠️  Rejected ${type} payload without ${body}`);
+        return { status: 400, error: `Missing ${body}` };
+    }
+
+    const invalid = body && invalidField(type, payload[body]);
+    if (invalid) {
+        log(`⚠️  Rejected ${type} payload with invalid ${invalid}`);
+        return { status: 400, error: `Invalid ${invalid}` };
+    }
+
+    // Streams and turn state are looked up by direction
+    if (type === "audio" && !AUDIO_DIRECTIONS.includes(payload.audio.direction)) {
+        log(`⚠️  Rejected audio with invalid direction ${payload.audio.direction}`);
+        return { status: 400, error: "Invalid audio direction" };
+    }
+
+    // Every payload must carry the ID of the session it belongs to, so that
+    // concurrent sessions (multiple tabs or peer connections) never mix data.
+    const sessionId = payload.sessionId
+        || payload.session?.id
+        || payload.event?.sessionId
+        || payload.audio?.sessionId;
+
+    if (!sessionId) {
+        log(`⚠️  Rejected ${type} payload without session ID`);
+        return { status: 400, error: "Missing sessionId" };
+    }
+
+    if (type !== "session_start" && !sessions.has(sessionId)) {
+        log(`⚠️  Ignored ${type} for unknown session ${sessionId}`);
+        return { status: 404, error: "Session not found" };
+    }
+
+    // Payloads may be redelivered: a batch retried after a server error, a
+    // frame resent after a reconnect, a queue restored on the next page load.
+    // A session_start is a repeat if its session is known, ID or not.
+    const { payloadId } = payload;
+    const known = sessions.get(sessionId);
+    if (known && (type === "session_start" || (payloadId !== undefined && known.payloadIds.has(payloadId)))) {
+        return { status: 200 };
+    }
+
+    if (type === "session_start") {
+        const { session } = payload;
+
+        // The ID becomes the session's storage prefix
+        if (typeof session.id !== "string" || !/^[\w-][\w.-]*$/.test(session.id)) {
+            log(`⚠️  Rejected session with invalid ID ${session.id}`);
+            return { status: 400, error: "Invalid sessionId" };
+        }
+
+        // Register the session before talking to the exporters so that
+        // events arriving while the trace is being created are not rejected
+        const state = {
+            id: session.id,
+            startedAt: session.startedAt,
+            transport: session.transport || "webrtc",
+            turnState: createTurnState({ transport: session.transport || "webrtc" }),
+            config: createConfigHistory(),
+            saving: Promise.resolve(),
+            payloadIds: new Set(),  // handled payloads, see above
+            events: [],
+            recording: [],  // turn audio as PCM, for recording.wav
+            audio: { input: createAudioStream(), output: createAudioStream() },
+            traceIds: {},   // from the exporters, e.g. langsmithRunId
+        };
+        sessions.set(session.id, state);
+
+        Object.assign(state.traceIds, ...await exportAll("startSession", state));
+
+        const meta = { ...session, ...state.traceIds, events: [] };
+        await storage.write(`${session.id}/session.json`, JSON.stringify(meta, null, 2));
+        await getSessionIndex(storage).upsert(indexEntry(meta));
+        log(`📁 Session started: ${session.id}`);
+        notify("session_start", { sessionId: session.id, startedAt: session.startedAt, transport: state.transport });
+    }
+
+    if (type === "event") {
+        // Before anything is stored, exported or streamed
+        const event = redactor ? redactor.redactEvent(payload.event) : payload.event;
+        const session = sessions.get(sessionId);
+
+        if (session) {
+            session.events.push(event);
+            notify("event", { sessionId, event });
+
+            // The app's own data channels are recorded, but aren't the conversation
+            if (onRealtimeChannel(event)) applyRealtimeEvent(session, event);
+        }
+    }
+
+    if (type === "audio") {
+        const { audio } = payload;
+        const session = sessions.get(sessionId);
+
+        if (session && audio.data) {
+            // Cache the WebM init segment from the first audio chunk of each direction
+            const initKey = `${sessionId}_${audio.direction}`;
+            if (!webmInitSegments.has(initKey)) {
+                const init = initSegment(toBuffer(audio.data));
+                if (init) {
+                    webmInitSegments.set(initKey, init);
+                    log(`📦 Cached WebM init segment for ${audio.direction}: ${init.length} bytes`);
+                }
+            }
+            
+            // The continuous stream turns are cut from. Response audio over
+            // WebSocket arrives per response already, so it isn't kept.
+            const stream = Object.hasOwn(session.audio, audio.direction) ? session.audio[audio.direction] : null;
+            if (stream && (audio.direction === "input" || audio.format !== "pcm16")) {
+                appendAudio(stream, audio, toBuffer(audio.data));
+            }
+
+            saveTurns(session, applyAudio(session.turnState, audio));
+        }
+    }
+
+    if (type === "session_end") {
+        // The SDK's transcripts are in the summary
+        const summary = redactor ? redactor.redactValue(payload.session).value : payload.session;
+        const session = sessions.get(sessionId);
+
+        if (session) {
+            // Save any turns that are still open, and wait for pending saves
+            saveTurns(session, flushTurns(session.turnState));
+            await session.saving;
+
+            const latency = summarizeLatency(session.turnState);
+            const config = currentConfig(session.config);
+            const tokens = summarizeUsage(session.turnState);
+            const usage = tokens && {
+                model: session.turnState.model,
+                ...tokens,
+                cost: usageCost(session, tokens),
+            };
+
+            await exportAll("endSession", session, { summary, latency, usage, config });
+
+            // Both sides of the conversation as one stereo file, user on the left
+            let recording;
+            if (session.recording.length > 0) {
+                const wav = mixStereoWav(session.recording, PCM16_SAMPLE_RATE);
+                await storage.write(`${session.id}/recording.wav`, wav);
+                recording = "recording.wav";
+                log(`🎙️  Recording: ${(wav.length / 1024).toFixed(1)} KB`);
+            }
+
+            const meta = {
+                ...summary,
+                transport: session.transport,
+                latency,
+                usage,
+                rateLimits: session.turnState.rateLimits,
+                config: config?.config,
+                configHistory: session.config.versions,
+                recording,
+                ...session.traceIds,
+                events: redactor ? redactor.redactDeltas(session.events) : session.events,
+            };
+            await storage.write(`${session.id}/session.json`, JSON.stringify(meta, null, 2));
+
+            const transcripts = Array.from(session.turnState.turns.values()).map((turn) => turn.transcript);
+            await getSessionIndex(storage).upsert(indexEntry(meta, transcripts));
+
+            log(`📊 Session ended: ${summary.eventCount} events, ${summary.duration}ms`);
+            if (usage) {
+                log(`🪙 Tokens: ${usage.inputTokens} in / ${usage.outputTokens} out${usage.cost ? ` ($${usage.cost.total.toFixed(4)})` : ""}`);
+            }
+            log(`📁 Saved to: ${storage.location(session.id)}`);
+            notify("session_end", { sessionId, duration: summary.duration, eventCount: summary.eventCount, latency, usage });
+            
+            // Clean up WebM init segment cache for this session
+            webmInitSegments.delete(`${sessionId}_input`);
+            webmInitSegments.delete(`${sessionId}_output`);
+            
+            sessions.delete(sessionId);
+        }
+    }
+
+    if (type === "signaling") {
+        log(`📡 SDP ${payload.sdpType} captured for ${sessionId}`);
+    }
+
+    if (payloadId !== undefined) sessions.get(sessionId)?.payloadIds.add(payloadId);
+    return { status: 200 };
+}
+
+// ============================================================
+// WEBSOCKET TRANSPORT
+// ============================================================
+
+function decodeFrame(data, isBinary) {
+    if (!isBinary) {
+        return JSON.parse(data.toString("utf-8"));
+    }
+    const headerLength = data.readUInt32BE(0);
+    const payload = JSON.parse(data.subarray(4, 4 + headerLength).toString("utf-8"));
+    if (payload?.audio) {
+        payload.audio.data = data.subarray(4 + headerLength);
+    }
+    return payload;
+}
+
+// The sequence number of a frame that can't be decoded, if it's in there
+function frameSeq(data, isBinary) {
+    const header = isBinary && data.length >= 4 ? data.subarray(4, 4 + data.readUInt32BE(0)) : data;
+    const seq = header.toString("utf-8").match(/"seq"\s*:\s*(\d+)/)?.[1];
+    return seq === undefined ? undefined : Number(seq);
+}
+
+/**
+ * Handle payloads streamed over a WebSocket (`enable({ transport: 'ws' })`).
+ * Text frames are JSON payloads; binary frames carry audio as
+ * [uint32 header length][JSON header][raw audio bytes]. Every frame is acked
+ * with { type: "ack", seq, ok } so the client can resend on reconnect.
+ * A payload that fails is acked with a 500; later frames are still handled.
+ * A frame that can't be decoded is acked with a 400, or the connection is
+ * closed (1008) if its sequence number can't be found either.
+ *
+ * @param {WebSocket} ws - A `ws` server-side socket
+ */
+export function handleSocket(ws) {
+    // Handle frames one at a time so session_start is processed before its events
+    let queue = Promise.resolve();
+
+    ws.on("message", (data, isBinary) => {
+        queue = queue.then(async () => {
+            let payload;
+            let result;
+            try {
+                payload = decodeFrame(data, isBinary);
+            } catch {
+                // Acked so the client drops it instead of resending it forever;
+                // without a sequence number it can't be, so the client is cut off
+                const seq = frameSeq(data, isBinary);
+                if (seq === undefined) {
+                    log("⚠️  Received malformed WebSocket frame, closing the connection");
+                    ws.close(1008, "Malformed frame");
+                    return;
+                }
+                log(`⚠️  Received malformed WebSocket frame ${seq}`);
+                payload = { seq };
+                result = { status: 400, error: "Malformed frame" };
+            }
+
+            if (!result) {
+                try {
+                    result = await handlePayload(payload);
+                } catch (err) {
+                    log(`⚠️  Failed to handle ${payload?.type} payload:`, err.message);
+                    result = { status: 500, error: "Internal error" };
+                }
+            }
+
+            if (ws.readyState === ws.OPEN) {
+                const seq = payload?.seq;
+                ws.send(JSON.stringify(
+                    result.error
+                        ? { type: "ack", seq, ok: false, status: result.status, error: result.error }
+                        : { type: "ack", seq, ok: true }
+                ));
+            }
+        }).catch((err) => log("⚠️  WebSocket frame failed:", err.message));
+    });
+}
@@ -0,0 +1,174 @@
+/**
+ * PII Redaction
+ *
+ * Replaces personal data in events and transcripts before they're recorded,
+ * written or exported. Built-in detectors find email addresses, phone
+ * numbers and payment card numbers (Luhn-checked); custom rules add regexes.
+ *
+ * Events are redacted one at a time, so an email address split across two
+ * transcript deltas isn't found in either. `redactDeltas` catches it once
+ * the stream of deltas is complete (the server runs it before writing
+ * session.json); the turn's transcript is redacted as a whole.
+ *
+ * Shared by the SDK (`enable({ redact })`) and the server
+ * (`configureRecorder({ redact })`, REDACT_PII / REDACT_PATTERNS).
+ */
+
+export const DETECTORS = {
+    // Cards run first so their digits aren't taken for a phone number
+    card: {
+        pattern: /(?<![\w+])\d(?:[ -]?\d){12,18}(?!\w)/g,
+        replacement: '[REDACTED_CARD]',
+        test: (match) => luhn(match.replace(/\D/g, '')),
+    },
+    email: {
+        pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}/g,
+        replacement: '[REDACTED_EMAIL]',
+    },
+    phone: {
+        pattern: /(?<![\w+])(?:\+\d{1,3}[ .-]?)?(?:\(\d{1,4}\)[ .-]?)?\d{2,4}(?:[ .-]?\d{2,4}){1,4}(?!\w)/g,
+        replacement: '[REDACTED_PHONE]',
+        // At least 10 digits: dates, times and small numbers aren't phone numbers
+        test: (match) => {
+            const digits = match.replace(/\D/g, '').length;
+            return digits >= 10 && digits <= 15;
+        },
+    },
+};
+
+// Event fields that identify things rather than carry content, and audio
+const SKIPPED_KEYS = new Set([
+    'type', 'direction', 'sessionId', 'timestamp', 'event_id', 'item_id', 'previous_item_id',
+    'response_id', 'call_id', 'id', 'object', 'status', 'role', 'model', 'voice', 'audio', 'redacted',
+]);
+
+/**
+ * Create a redactor, or return null when redaction is off.
+ *
+ * @param {boolean|Object} [options] - `true` for the built-in detectors, or:
+ * @param {string[]} [options.detectors=['email', 'phone', 'card']] - Built-in detectors to use
+ * @param {{ name?: string, pattern: RegExp|string, flags?: string, replacement?: string }[]} [options.rules] -
+ *   Extra patterns; string patterns are compiled with `flags`
+ */
+export function createRedactor(options) {
+    if (!options) return null;
+    const { detectors = Object.keys(DETECTORS), rules = [] } = options === true ? {} : options;
+    for (const name of detectors) {
+        if (!DETECTORS[name]) throw new Error(`Unknown PII detector: ${name}`);
+    }
+
+    const active = [
+        ...Object.keys(DETECTORS)
+            .filter((name) => detectors.includes(name))
+            .map((name) => ({ name, ...DETECTORS[name] })),
+        ...rules.map((rule, i) => {
+            const name = rule.name || `rule${i + 1}`;
+            const pattern = typeof rule.pattern === 'string'
+                ? new RegExp(rule.pattern, rule.flags || '')
+                : rule.pattern;
+            return {
+                name,
+                // Always replace every match
+                pattern: pattern.global ? pattern : new RegExp(pattern.source, `${pattern.flags}g`),
+                replacement: rule.replacement ?? `[REDACTED_${name.toUpperCase()}]`,
+            };
+        }),
+    ];
+
+    /**
+     * Redact a string. Returns `{ text, found }`, `found` being the names of
+     * the detectors and rules that matched.
+     */
+    function redactText(text) {
+        const found = new Set();
+        let result = text;
+        for (const { name, pattern, replacement, test } of active) {
+            result = result.replace(pattern, (match) => {
+                if (test && !test(match)) return match;
+                found.add(name);
+                return replacement;
+            });
+        }
+        return { text: result, found: [...found] };
+    }
+
+    /**
+     * Redact every string in a JSON value, except identifiers and audio.
+     * Returns `{ value, found }`; the input isn't modified.
+     */
+    function redactValue(value, found = new Set()) {
+        if (typeof value === 'string') {
+            const result = redactText(value);
+            for (const name of result.found) found.add(name);
+            return { value: result.text, found: [...found] };
+        }
+        if (Array.isArray(value)) {
+            return { value: value.map((item) => redactValue(item, found).value), found: [...found] };
+        }
+        if (value && typeof value === 'object') {
+            const copy = {};
+            for (const [key, field] of Object.entries(value)) {
+                copy[key] = SKIPPED_KEYS.has(key) ? field : redactValue(field, found).value;
+            }
+            return { value: copy, found: [...found] };
+        }
+        return { value, found: [...found] };
+    }
+
+    /**
+     * Redact a realtime event. An event that had something redacted gets a
+     * `redacted` field listing what was found, e.g. `['email']`, which marks
+     * its turn as redacted (see turns.js).
+     */
+    function redactEvent(event) {
+        const { value, found } = redactValue(event);
+        if (found.length === 0) return event;
+        return { ...value, redacted: [...new Set([...(event.redacted || []), ...found])] };
+    }
+
+    /**
+     * Redact streamed text (`delta` of `*.delta` events) as a whole, per
+     * item and content part. When the joined deltas contain personal data,
+     * the first delta gets the redacted text and the others are emptied, so
+     * joining them still gives the (redacted) text. Returns new events.
+     */
+    function redactDeltas(events) {
+        const streams = new Map();
+        events.forEach((event, index) => {
+            if (!event.type?.endsWith('.delta') || typeof event.delta !== 'string') return;
+            const key = [event.type, event.item_id, event.response_id, event.call_id, event.content_index].join(':');
+            if (!streams.has(key)) streams.set(key, []);
+            streams.get(key).push(index);
+        });
+
+        const result = [...events];
+        for (const indexes of streams.values()) {
+            const { text, found } = redactText(indexes.map((index) => events[index].delta).join(''));
+            if (found.length === 0) continue;
+            indexes.forEach((index, i) => {
+                const event = events[index];
+                result[index] = {
+                    ...event,
+                    delta: i === 0 ? text : '',
+                    redacted: [...new Set([...(event.redacted || []), ...found])],
+                };
+            });
+        }
+        return result;
+    }
+
+    return { redactText, redactValue, redactEvent, redactDeltas };
+}
+
+function luhn(digits) {
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        let digit = Number(digits[digits.length - 1 - i]);
+        if (i % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) digit -= 9;
+        }
+        sum += digit;
+    }
+    return sum % 10 === 0;
+}
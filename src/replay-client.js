@@ -0,0 +1,195 @@
+/**
+ * Session Replay: In-Browser Peer
+ *
+ * Replays a recorded WebRTC session in the page, against the app's own
+ * client code. The app's SDP offer is answered by a local peer instead of
+ * OpenAI; once the app's `oai-events` data channel opens, that peer sends
+ * the session's server events over it and plays the assistant's recorded
+ * audio as its remote track, on the original schedule. The timeline and
+ * audio come from the replay server (replay.js).
+ *
+ * Install it before `enable()`, so the SDK observes the replayed session
+ * like a real one:
+ *
+ * import { installReplay } from 'http://localhost:3002/sdk/replay-client.js';
+ * import { enable } from 'http://localhost:3001/sdk/index.js';
+ *
+ * installReplay({ server: 'http://localhost:3002' });
+ * enable({ serverUrl: 'http://localhost:3001' });
+ */
+
+import { playTimeline } from './replay-timeline.js';
+
+// Turn audio formats, in the order they're tried
+const AUDIO_FORMATS = ['wav', 'webm', 'ogg', 'mp3'];
+
+/**
+ * Answer the page's Realtime SDP offers (a POST whose body is the offer,
+ * or a form with an `sdp` field) with a replay of the session the replay
+ * server was started with.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.server='http://localhost:3002'] - Replay server URL
+ * @param {number} [options.speed] - Playback speed; defaults to the server's `--speed`
+ * @returns {() => void} Uninstall: restores fetch and closes replayed sessions
+ */
+export function installReplay({ server = 'http://localhost:3002', speed } = {}) {
+    const originalFetch = globalThis.fetch;
+    const PeerConnection = globalThis.RTCPeerConnection;
+    const replays = new Set();
+
+    globalThis.fetch = function(url, options) {
+        const offer = sdpOffer(options);
+        if (!offer) return originalFetch(url, options);
+
+        // Created now, while the click that started the session still counts
+        // as a user gesture, so the browser lets it play
+        const context = new AudioContext();
+        return answerOffer(offer, context);
+    };
+
+    async function answerOffer(offer, context) {
+        const response = await originalFetch(`${server}/replay/session`);
+        if (!response.ok) {
+            context.close();
+            throw new Error(`Replay server error: ${response.status}`);
+        }
+        const timeline = await response.json();
+        const buffers = await loadAudio(timeline.audio, context, (path) => originalFetch(new URL(path, server)));
+        console.log('[RealtimeObservability] Replaying session', timeline.id);
+
+        const destination = context.createMediaStreamDestination();
+        const pc = new PeerConnection();
+        const replay = { pc, context, player: null };
+        replays.add(replay);
+
+        pc.ondatachannel = ({ channel }) => {
+            if (channel.label !== 'oai-events') return;
+            channel.onopen = () => {
+                context.resume();
+                const audio = createAudioPlayer(timeline.steps, buffers, context, destination, speed ?? timeline.speed);
+                replay.player = playTimeline(timeline.steps, (event) => {
+                    if (channel.readyState !== 'open') return;
+                    channel.send(JSON.stringify(event));
+                    audio.handle(event);
+                }, {
+                    speed: speed ?? timeline.speed,
+                    onEnd: () => console.log('[RealtimeObservability] Replay finished'),
+                });
+            };
+            channel.onclose = () => replay.player?.stop();
+        };
+
+        await pc.setRemoteDescription({ type: 'offer', sdp: offer });
+
+        // The assistant's audio goes out on the app's audio transceiver
+        const [track] = destination.stream.getAudioTracks();
+        const transceiver = pc.getTransceivers().find((t) => t.receiver.track.kind === 'audio');
+        if (transceiver) {
+            transceiver.direction = 'sendrecv';
+            await transceiver.sender.replaceTrack(track);
+        } else {
+            pc.addTrack(track, destination.stream);
+        }
+
+        await pc.setLocalDescription(await pc.createAnswer());
+        await iceGatheringComplete(pc);
+
+        return new Response(pc.localDescription.sdp, {
+            status: 201,
+            headers: { 'Content-Type': 'application/sdp' },
+        });
+    }
+
+    return function uninstall() {
+        globalThis.fetch = originalFetch;
+        for (const { pc, context, player } of replays) {
+            player?.stop();
+            pc.close();
+            context.close();
+        }
+        replays.clear();
+    };
+}
+
+// The SDP offer in a fetch's options, if it's a POST of one
+function sdpOffer(options) {
+    if (options?.method?.toUpperCase() !== 'POST') return null;
+    const body = options.body instanceof FormData ? options.body.get('sdp') : options.body;
+    return typeof body === 'string' && body.startsWith('v=0') ? body : null;
+}
+
+/**
+ * Decode each response's audio, in the first format the browser can decode.
+ * Returns AudioBuffers by response ID.
+ */
+async function loadAudio(audio, context, fetchAudio) {
+    const buffers = new Map();
+    for (const [responseId, files] of Object.entries(audio || {})) {
+        for (const format of AUDIO_FORMATS.filter((name) => files[name])) {
+            try {
+                const data = await fetchAudio(files[format]).then((response) => response.arrayBuffer());
+                buffers.set(responseId, await context.decodeAudioData(data));
+                break;
+            } catch {
+                // Try the next format
+            }
+        }
+    }
+    return buffers;
+}
+
+/**
+ * Plays a response's audio when its playback started in the recording
+ * (`output_audio_buffer.started`, or its first transcript delta in sessions
+ * without those) and stops it when it was cut off.
+ */
+function createAudioPlayer(steps, buffers, context, destination, speed = 1) {
+    const hasBufferEvents = steps.some(({ event }) => event.type === 'output_audio_buffer.started');
+    const sources = new Map();
+
+    const start = (responseId) => {
+        const buffer = buffers.get(responseId);
+        if (!buffer || sources.has(responseId)) return;
+        const source = context.createBufferSource();
+        source.buffer = buffer;
+        source.playbackRate.value = speed;
+        source.connect(destination);
+        source.start();
+        sources.set(responseId, source);
+    };
+
+    const stop = (responseId) => {
+        if (responseId) {
+            sources.get(responseId)?.stop();
+        } else {
+            for (const source of sources.values()) source.stop();
+        }
+    };
+
+    return {
+        handle(event) {
+            switch (event.type) {
+                case 'output_audio_buffer.started':
+                    start(event.response_id);
+                    break;
+                case 'response.output_audio_transcript.delta':
+                case 'response.audio_transcript.delta':
+                    if (!hasBufferEvents) start(event.response_id);
+                    break;
+                case 'output_audio_buffer.cleared':
+                    stop(event.response_id);
+                    break;
+            }
+        },
+    };
+}
+
+function iceGatheringComplete(pc) {
+    if (pc.iceGatheringState === 'complete') return Promise.resolve();
+    return new Promise((resolve) => {
+        pc.addEventListener('icegatheringstatechange', () => {
+            if (pc.iceGatheringState === 'complete') resolve();
+        });
+    });
+}
@@ -0,0 +1,65 @@
+/**
+ * Replay Timeline
+ *
+ * A recorded session's server events, on the schedule they arrived on.
+ * Shared by the replay server (WebSocket sessions) and the in-browser
+ * replay peer (WebRTC sessions).
+ */
+
+import { onRealtimeChannel } from './turns.js';
+
+// Fields the SDK adds to the events it records
+const RECORDING_FIELDS = ['direction', 'channel', 'sessionId', 'timestamp', 'redacted'];
+
+/**
+ * The server events of a recorded session (session.json `events`) as
+ * `{ at, event }` steps, `at` being milliseconds after the first one.
+ * Client events aren't replayed: the client under test sends its own.
+ */
+export function buildTimeline(events) {
+    // Only Realtime events: not unparsed messages, nor the app's own data channels
+    const incoming = events.filter((event) => event.direction === 'incoming'
+        && event.type !== 'raw' && event.type !== 'binary' && onRealtimeChannel(event));
+    const firstAt = Date.parse(incoming[0]?.timestamp);
+
+    return incoming.map((recorded) => {
+        const event = { ...recorded };
+        for (const field of RECORDING_FIELDS) delete event[field];
+        return { at: Math.max(0, Date.parse(recorded.timestamp) - firstAt) || 0, event };
+    });
+}
+
+/**
+ * Call `send(event)` for each step at its time, divided by `speed`. Steps
+ * are scheduled from the start of playback rather than from each other, so
+ * timer delays don't add up over a long session.
+ *
+ * @returns {{ stop: () => void }}
+ */
+export function playTimeline(steps, send, { speed = 1, onEnd } = {}) {
+    const startedAt = Date.now();
+    let index = 0;
+    let timer = null;
+    let stopped = false;
+
+    const next = () => {
+        const elapsed = Date.now() - startedAt;
+        while (!stopped && index < steps.length && steps[index].at / speed <= elapsed) {
+            send(steps[index++].event);
+        }
+        if (stopped) return;
+        if (index < steps.length) {
+            timer = setTimeout(next, steps[index].at / speed - elapsed);
+        } else {
+            onEnd?.();
+        }
+    };
+    next();
+
+    return {
+        stop() {
+            stopped = true;
+            clearTimeout(timer);
+        },
+    };
+}
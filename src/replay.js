@@ -0,0 +1,263 @@
+/**
+ * Session Replay
+ *
+ * Plays a recorded session (session.json plus its turns' audio) back through
+ * a local fake Realtime server, on the original schedule, to regression-test
+ * a client UI or the SDK's turn logic without calling OpenAI:
+ * - WebSocket sessions: connect to `ws://localhost:3002/v1/realtime` and the
+ *   session's server events are sent as they were recorded. Audio deltas get
+ *   their audio back from the output turns' audio.wav.
+ * - WebRTC sessions: Node has no WebRTC stack, so the page answers its own
+ *   SDP offer with an in-page peer (replay-client.js) that sends the events
+ *   over `oai-events` and plays the assistant's audio as the remote track,
+ *   using the timeline and audio served here.
+ *
+ * Client events are accepted and ignored: the replay doesn't react to them.
+ *
+ * Run: node src/replay.js <sessionId> [--speed 2] [--port 3002] [--uploads ./uploads]
+ */
+
+import express from "express";
+import cors from "cors";
+import { createServer } from "http";
+import { fileURLToPath } from "url";
+import { dirname, join } from "path";
+import { WebSocketServer } from "ws";
+import { createFileStorage, assertValidKey, contentTypeFor } from "./storage.js";
+import { buildTimeline, playTimeline } from "./replay-timeline.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const DEFAULT_PORT = 3002;
+
+// Server events that carry output audio (base64 PCM16 in `delta`)
+const AUDIO_DELTAS = new Set(["response.output_audio.delta", "response.audio.delta"]);
+
+function log(...args) {
+    console.log("[Replay]", ...args);
+}
+
+// ============================================================
+// LOADING
+// ============================================================
+
+/**
+ * Load a recorded session for replay: its timeline (see replay-timeline.js)
+ * and the storage keys of each response's audio, by format.
+ *
+ * @returns {Promise<{ id: string, transport: string, steps: { at: number, event: Object }[], audio: Object<string, Object<string, string>> }>}
+ */
+export async function loadReplay(storage, sessionId) {
+    const data = await storage.read(`${assertValidKey(sessionId)}/session.json`);
+    if (!data) throw new Error(`Session not found: ${sessionId}`);
+
+    const session = JSON.parse(data);
+    if (!session.events?.length) {
+        throw new Error(`Session ${sessionId} has no events (is it still in progress?)`);
+    }
+
+    const audio = {};
+    for (const key of await storage.list(`${sessionId}/`)) {
+        const turnDir = key.match(/^(.+\/turn-\d+-output\/)meta\.json$/)?.[1];
+        if (!turnDir) continue;
+        const meta = JSON.parse(await storage.read(key));
+        if (!meta.responseId || !meta.audioFormats?.length) continue;
+        audio[meta.responseId] = Object.fromEntries(
+            meta.audioFormats.map((format) => [format, `${turnDir}audio.${format}`])
+        );
+    }
+
+    return {
+        id: sessionId,
+        transport: session.transport || "webrtc",
+        steps: buildTimeline(session.events),
+        audio,
+    };
+}
+
+/**
+ * Put the audio back into a WebSocket session's audio deltas. The SDK
+ * records them with `audio_bytes` instead of `delta`; each one gets that
+ * many bytes of its response's audio.wav, in order. Audio that wasn't saved
+ * (or ran out, e.g. cut by an interruption) is replayed as silence.
+ */
+export async function restoreAudioDeltas(storage, replay) {
+    const responses = new Map();
+    for (const [responseId, files] of Object.entries(replay.audio)) {
+        const wav = files.wav ? await storage.read(files.wav) : null;
+        responses.set(responseId, { pcm: wav ? wavData(wav) : Buffer.alloc(0), offset: 0 });
+    }
+
+    return replay.steps.map(({ at, event }) => {
+        if (!AUDIO_DELTAS.has(event.type) || typeof event.audio_bytes !== "number") return { at, event };
+
+        const { audio_bytes: bytes, ...rest } = event;
+        const response = responses.get(event.response_id) ?? { pcm: Buffer.alloc(0), offset: 0 };
+        const delta = Buffer.alloc(bytes & ~1);
+        response.pcm.copy(delta, 0, response.offset, response.offset + delta.length);
+        response.offset += delta.length;
+        responses.set(event.response_id, response);
+        return { at, event: { ...rest, delta: delta.toString("base64") } };
+    });
+}
+
+// The samples of a PCM WAV file: its "data" chunk
+function wavData(wav) {
+    let offset = 12;
+    while (offset + 8 <= wav.length) {
+        const id = wav.toString("ascii", offset, offset + 4);
+        const size = wav.readUInt32LE(offset + 4);
+        if (id === "data") return wav.subarray(offset + 8, Math.min(wav.length, offset + 8 + size));
+        offset += 8 + size + (size & 1);
+    }
+    return Buffer.alloc(0);
+}
+
+// ============================================================
+// SERVER
+// ============================================================
+
+/**
+ * Create the replay server for one session. Not listening yet: call
+ * `server.listen(port)`.
+ *
+ * @param {Object} options
+ * @param {Object} options.storage - Storage the session was recorded to (see storage.js)
+ * @param {string} options.sessionId - Session to replay
+ * @param {number} [options.speed=1] - Playback speed, e.g. 2 for twice as fast
+ */
+export async function createReplayServer({ storage, sessionId, speed = 1 }) {
+    if (!(speed > 0)) throw new Error(`Invalid replay speed: ${speed}`);
+
+    const replay = await loadReplay(storage, sessionId);
+    const socketSteps = await restoreAudioDeltas(storage, replay);
+
+    const app = express();
+    app.use(cors());
+
+    // The SDK and the in-browser replay peer
+    app.use("/sdk", express.static(__dirname));
+
+    // Timeline for the in-browser replay peer, with audio URLs
+    app.get("/replay/session", (req, res) => {
+        res.json({
+            id: replay.id,
+            transport: replay.transport,
+            speed,
+            steps: replay.steps,
+            audio: Object.fromEntries(Object.entries(replay.audio).map(([responseId, files]) => [
+                responseId,
+                Object.fromEntries(Object.entries(files).map(([format, key]) => [format, `/uploads/${key}`])),
+            ])),
+        });
+    });
+
+    app.get("/uploads/*key", async (req, res) => {
+        let key;
+        try {
+            key = assertValidKey(req.params.key.join("/"));
+        } catch {
+            return res.status(404).json({ error: "Not found" });
+        }
+
+        const content = await storage.read(key);
+        if (!content) {
+            return res.status(404).json({ error: "Not found" });
+        }
+        res.type(contentTypeFor(key)).send(content);
+    });
+
+    // SDP offers can't be answered here
+    app.post(["/v1/realtime", "/v1/realtime/calls"], (req, res) => {
+        res.status(501).json({
+            error: "WebRTC sessions are replayed in the browser: see installReplay() in /sdk/replay-client.js",
+        });
+    });
+
+    const server = createServer(app);
+    const wss = new WebSocketServer({ noServer: true });
+
+    server.on("upgrade", (req, socket, head) => {
+        const { pathname } = new URL(req.url, `http://${req.headers.host}`);
+        if (pathname !== "/v1/realtime") {
+            socket.destroy();
+            return;
+        }
+        wss.handleUpgrade(req, socket, head, (ws) => wss.emit("connection", ws, req));
+    });
+
+    wss.on("connection", (ws) => {
+        log(`🔌 Client connected: replaying ${socketSteps.length} events of ${replay.id} at ${speed}x`);
+        let clientEvents = 0;
+
+        const player = playTimeline(socketSteps, (event) => {
+            if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(event));
+        }, {
+            speed,
+            onEnd: () => log(`✅ Replay finished (${clientEvents} client events received)`),
+        });
+
+        ws.on("message", () => {
+            clientEvents++;
+        });
+        ws.on("close", () => {
+            player.stop();
+            log("🔌 Client disconnected");
+        });
+    });
+
+    server.on("close", () => {
+        for (const ws of wss.clients) ws.terminate();
+    });
+
+    return server;
+}
+
+// ============================================================
+// CLI
+// ============================================================
+
+function parseArgs(args) {
+    const options = { port: DEFAULT_PORT, speed: 1, uploads: join(__dirname, "..", "uploads") };
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === "--speed") options.speed = Number(args[++i]);
+        else if (arg === "--port") options.port = Number(args[++i]);
+        else if (arg === "--uploads") options.uploads = args[++i];
+        else if (!arg.startsWith("--") && !options.sessionId) options.sessionId = arg;
+        else throw new Error(`Unknown argument: ${arg}`);
+    }
+    if (!options.sessionId) {
+        throw new Error("Usage: node src/replay.js <sessionId> [--speed N] [--port N] [--uploads DIR]");
+    }
+    return options;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const storage = createFileStorage(options.uploads);
+    const server = await createReplayServer({ storage, sessionId: options.sessionId, speed: options.speed });
+
+    server.listen(options.port, () => {
+        console.log("");
+        console.log("═══════════════════════════════════════════════════════════");
+        console.log("  ⏯️  Realtime Session Replay");
+        console.log("═══════════════════════════════════════════════════════════");
+        console.log("");
+        console.log(`  🎬 Session:   ${options.sessionId} (${options.speed}x)`);
+        console.log(`  🔌 WebSocket: ws://localhost:${options.port}/v1/realtime`);
+        console.log(`  📡 WebRTC:    http://localhost:${options.port}/sdk/replay-client.js`);
+        console.log(`  📁 Uploads:   ${storage.location()}`);
+        console.log("");
+        console.log("═══════════════════════════════════════════════════════════");
+        console.log("");
+    });
+}
+
+if (process.argv[1] === __filename) {
+    main().catch((err) => {
+        console.error("[Replay] ❌", err.message);
+        process.exit(1);
+    });
+}
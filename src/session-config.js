@@ -0,0 +1,95 @@
+/**
+ * Session Configuration History
+ *
+ * Keeps a versioned history of a session's configuration (model, voice,
+ * instructions, tools, turn detection, ...). The server's `session.created`
+ * and `session.updated` events are authoritative: each one that changes the
+ * configuration becomes a new version, with a diff against the previous one.
+ * The client's `session.update` requests are attached to the version they
+ * produced, so a version shows both what was asked for and what was applied.
+ *
+ * Pure state manipulation, like turns.js.
+ */
+
+// Fields of the server's session object that identify it rather than configure it
+const IDENTITY_FIELDS = ['id', 'object', 'expires_at', 'client_secret'];
+
+/**
+ * Create the configuration history for a session.
+ */
+export function createConfigHistory() {
+    return {
+        versions: [],   // { version, at, source, config, changes, requested }
+        pending: [],    // `session.update` requests not yet confirmed
+    };
+}
+
+/**
+ * The latest configuration version, or null before the first one.
+ */
+export function currentConfig(history) {
+    return history.versions[history.versions.length - 1] || null;
+}
+
+/**
+ * Apply a realtime event to the history.
+ * Returns the new version if the event produced one.
+ */
+export function applyConfigEvent(history, event) {
+    if (event.type === 'session.update') {
+        history.pending.push({ at: event.timestamp, session: event.session || {} });
+        return null;
+    }
+    if (event.type !== 'session.created' && event.type !== 'session.updated') return null;
+
+    const config = { ...(event.session || {}) };
+    for (const field of IDENTITY_FIELDS) delete config[field];
+
+    const previous = currentConfig(history);
+    const changes = diffConfig(previous?.config || {}, config);
+    const requested = history.pending.splice(0);
+
+    // A `session.updated` that confirms the current config isn't a new version
+    if (previous && changes.length === 0) {
+        previous.requested.push(...requested);
+        return null;
+    }
+
+    const version = {
+        version: history.versions.length + 1,
+        at: event.timestamp,
+        source: event.type,
+        config,
+        changes: previous ? changes : [],
+        requested,
+    };
+    history.versions.push(version);
+    return version;
+}
+
+/**
+ * Differences between two configurations as `{ path, from, to }`, with
+ * dotted paths into nested objects (e.g. `audio.output.voice`). Arrays such
+ * as `tools` are compared as a whole.
+ */
+export function diffConfig(from, to, prefix = '') {
+    const changes = [];
+    const keys = new Set([...Object.keys(from || {}), ...Object.keys(to || {})]);
+
+    for (const key of keys) {
+        const path = prefix ? `${prefix}.${key}` : key;
+        const a = from?.[key];
+        const b = to?.[key];
+
+        if (isPlainObject(a) && isPlainObject(b)) {
+            changes.push(...diffConfig(a, b, path));
+        } else if (JSON.stringify(a) !== JSON.stringify(b)) {
+            changes.push({ path, from: a ?? null, to: b ?? null });
+        }
+    }
+    return changes;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
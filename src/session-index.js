@@ -0,0 +1,244 @@
+/**
+ * Session Index
+ *
+ * A lightweight index of recorded sessions so `GET /sessions` can filter and
+ * paginate without reading every session.json. Each session has its own entry
+ * object, `index/<id>.entry.json`, written as the session starts and ends, so
+ * server instances sharing a storage never overwrite each other's entries.
+ *
+ * Entries are cached in memory. Every query lists `index/` to pick up the
+ * sessions other instances recorded, and re-reads the entries of sessions
+ * that hadn't ended yet. Sessions recorded before the index existed are
+ * indexed from their session.json on first use.
+ */
+
+const INDEX_PREFIX = "index/";
+const ENTRY_SUFFIX = ".entry.json";
+// Written once sessions recorded before the index have been indexed
+const REBUILT_MARKER = "index/rebuilt";
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+// A session that hasn't ended this long after it started never will (its
+// server went away): its entry isn't re-read any more
+const ENTRY_FINAL_AFTER_MS = 6 * 60 * 60 * 1000;
+
+// Entries read at a time
+const READ_CONCURRENCY = 16;
+
+// One index per storage, shared by the recorder and the server
+const indexes = new Map();
+
+function log(...args) {
+    console.log("[LangSmith]", ...args);
+}
+
+/**
+ * Get the index for a storage backend (see storage.js).
+ */
+export function getSessionIndex(storage) {
+    if (!indexes.has(storage)) {
+        indexes.set(storage, createSessionIndex(storage));
+    }
+    return indexes.get(storage);
+}
+
+/**
+ * Build an index entry from a session.json document and the transcripts of
+ * its turns.
+ */
+export function indexEntry(session, transcripts = []) {
+    const events = session.events || [];
+    const errorCount = events.filter((event) =>
+        event.type === "error"
+        || event.type === "conversation.item.input_audio_transcription.failed"
+        || (event.type === "response.done" && event.response?.status === "failed")
+    ).length;
+
+    return {
+        id: session.id,
+        startedAt: session.startedAt,
+        endedAt: session.endedAt,
+        duration: session.duration,
+        eventCount: session.eventCount || events.length,
+        transport: session.transport,
+        model: session.config?.model ?? session.usage?.model,
+        langsmithRunId: session.langsmithRunId,
+        errorCount,
+        usage: session.usage && {
+            inputTokens: session.usage.inputTokens,
+            outputTokens: session.usage.outputTokens,
+            totalTokens: session.usage.totalTokens,
+            cost: session.usage.cost?.total ?? null,
+        },
+        // Lowercased once here so searches don't have to
+        text: transcripts.filter(Boolean).join("\n").toLowerCase(),
+    };
+}
+
+const entryKey = (id) => `${INDEX_PREFIX}${id}${ENTRY_SUFFIX}`;
+
+function isFinal(entry) {
+    return !!entry.endedAt || Date.now() - (Date.parse(entry.startedAt) || 0) > ENTRY_FINAL_AFTER_MS;
+}
+
+function createSessionIndex(storage) {
+    const entries = new Map(); // id -> entry
+    let sorted = null;         // entries by startedAt desc, rebuilt after changes
+    let rebuilding = null;
+
+    function rebuildOnce() {
+        rebuilding ??= (async () => {
+            if (!await storage.read(REBUILT_MARKER)) await rebuild();
+        })();
+        // Try again on the next call if storage wasn't reachable
+        rebuilding.catch(() => { rebuilding = null; });
+        return rebuilding;
+    }
+
+    // Index sessions recorded before the index existed
+    async function rebuild() {
+        const keys = await storage.list();
+        const indexed = new Set(keys.filter((key) => key.startsWith(INDEX_PREFIX) && key.endsWith(ENTRY_SUFFIX)));
+        const sessionKeys = keys.filter((key) => /^[^/]+\/session\.json$/.test(key));
+        let count = 0;
+
+        for (const sessionKey of sessionKeys) {
+            const id = sessionKey.split("/")[0];
+            if (indexed.has(entryKey(id))) continue;
+            try {
+                const session = JSON.parse((await storage.read(sessionKey)).toString("utf-8"));
+                const transcripts = [];
+                for (const key of keys) {
+                    if (key.startsWith(`${id}/turn-`) && key.endsWith("/transcript.txt")) {
+                        transcripts.push((await storage.read(key)).toString("utf-8"));
+                    }
+                }
+                await storage.write(entryKey(session.id), JSON.stringify(indexEntry(session, transcripts)));
+                count++;
+            } catch (err) {
+                log(`⚠️  Skipped ${id} while indexing:`, err.message);
+            }
+        }
+        await storage.write(REBUILT_MARKER, new Date().toISOString());
+        log(`🗂️  Indexed ${count} sessions`);
+    }
+
+    // Pick up entries written by other instances, and by sessions still running
+    async function refresh() {
+        await rebuildOnce();
+        const keys = (await storage.list(INDEX_PREFIX)).filter((key) => key.endsWith(ENTRY_SUFFIX));
+        const stale = keys.filter((key) => {
+            const cached = entries.get(key.slice(INDEX_PREFIX.length, -ENTRY_SUFFIX.length));
+            return !cached || !isFinal(cached);
+        });
+
+        for (let i = 0; i < stale.length; i += READ_CONCURRENCY) {
+            await Promise.all(stale.slice(i, i + READ_CONCURRENCY).map(async (key) => {
+                const content = await storage.read(key);
+                if (!content) return;
+                try {
+                    const entry = JSON.parse(content.toString("utf-8"));
+                    entries.set(entry.id, entry);
+                    sorted = null;
+                } catch {
+                    // Half-written by another instance; read again next time
+                }
+            }));
+        }
+    }
+
+    function sortedEntries() {
+        sorted ??= Array.from(entries.values()).sort(compareEntries);
+        return sorted;
+    }
+
+    return {
+        /**
+         * Add or replace a session's entry.
+         */
+        async upsert(entry) {
+            entries.set(entry.id, entry);
+            sorted = null;
+            await storage.write(entryKey(entry.id), JSON.stringify(entry));
+        },
+
+        /**
+         * Find sessions, newest first. Accepts `GET /sessions` query parameters
+         * (see README) and returns `{ sessions, nextCursor }`.
+         */
+        async query(params = {}) {
+            await refresh();
+            const filter = parseFilter(params);
+            const limit = Math.min(Math.max(parseInt(params.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+            const after = decodeCursor(params.cursor);
+
+            const page = [];
+            let nextCursor = null;
+            for (const entry of sortedEntries()) {
+                if (after && compareEntries(entry, after) <= 0) continue;
+                if (!matches(entry, filter)) continue;
+                if (page.length === limit) {
+                    nextCursor = encodeCursor(page[page.length - 1]);
+                    break;
+                }
+                page.push(entry);
+            }
+
+            return {
+                sessions: page.map(({ text, ...entry }) => entry),
+                nextCursor,
+            };
+        },
+    };
+}
+
+// Newest first; the ID breaks ties so the order (and cursors) are stable
+function compareEntries(a, b) {
+    const byTime = (Date.parse(b.startedAt) || 0) - (Date.parse(a.startedAt) || 0);
+    return byTime || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+}
+
+function encodeCursor(entry) {
+    return Buffer.from(JSON.stringify([entry.startedAt, entry.id])).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+    if (!cursor) return null;
+    try {
+        const [startedAt, id] = JSON.parse(Buffer.from(cursor, "base64url").toString("utf-8"));
+        return { startedAt, id };
+    } catch {
+        return null;
+    }
+}
+
+function parseFilter(params) {
+    const number = (value) => (value == null || value === "" ? null : Number(value));
+    const time = (value) => (value ? Date.parse(value) : null);
+    return {
+        from: time(params.from),
+        to: time(params.to),
+        minDuration: number(params.minDuration),
+        maxDuration: number(params.maxDuration),
+        minEvents: number(params.minEvents),
+        maxEvents: number(params.maxEvents),
+        q: params.q ? String(params.q).toLowerCase() : null,
+        hasErrors: params.hasErrors == null ? null : params.hasErrors === "true",
+        langsmithRunId: params.langsmithRunId || null,
+    };
+}
+
+function matches(entry, filter) {
+    const startedAt = Date.parse(entry.startedAt);
+    if (filter.from != null && !(startedAt >= filter.from)) return false;
+    if (filter.to != null && !(startedAt <= filter.to)) return false;
+    if (filter.minDuration != null && !(entry.duration >= filter.minDuration)) return false;
+    if (filter.maxDuration != null && !(entry.duration <= filter.maxDuration)) return false;
+    if (filter.minEvents != null && !(entry.eventCount >= filter.minEvents)) return false;
+    if (filter.maxEvents != null && !(entry.eventCount <= filter.maxEvents)) return false;
+    if (filter.hasErrors != null && (entry.errorCount > 0) !== filter.hasErrors) return false;
+    if (filter.langsmithRunId && entry.langsmithRunId !== filter.langsmithRunId) return false;
+    if (filter.q && !entry.text.includes(filter.q)) return false;
+    return true;
+}
@@ -0,0 +1,274 @@
+/**
+ * Session Storage
+ *
+ * Where session artifacts (session.json, turn audio, transcripts, meta.json
+ * and the session index) are kept. Artifacts are addressed by `/`-separated
+ * keys such as `<sessionId>/turn-01-input/audio.webm`.
+ *
+ * Two backends share the same async interface:
+ * - `createFileStorage(dir)`: a local directory (the default, `./uploads`)
+ * - `createS3Storage(options)`: an S3-compatible bucket (AWS S3, MinIO, R2, ...),
+ *   so the server can run without local state
+ *
+ * Interface:
+ * - `read(key)`          -> Buffer, or null if it doesn't exist
+ * - `write(key, data)`   stores a Buffer or string
+ * - `list(prefix)`       -> every key under a prefix, recursively
+ * - `location(key)`      -> human-readable location, for logs
+ */
+
+import { createHash, createHmac } from "crypto";
+import { dirname, join, sep } from "path";
+import { mkdir, readdir, readFile, writeFile } from "fs/promises";
+
+/**
+ * Keys come from session IDs sent by clients and from URLs; never let them
+ * leave the storage root.
+ */
+export function assertValidKey(key) {
+    const segments = key.split("/");
+    if (!key || segments.some((segment) => segment === "" || segment === "." || segment === ".." || segment.includes("\\"))) {
+        throw new Error(`Invalid storage key: ${key}`);
+    }
+    return key;
+}
+
+// ============================================================
+// LOCAL FILESYSTEM
+// ============================================================
+
+export function createFileStorage(dir) {
+    const pathFor = (key) => join(dir, ...assertValidKey(key).split("/"));
+
+    return {
+        async read(key) {
+            try {
+                return await readFile(pathFor(key));
+            } catch (err) {
+                if (err.code === "ENOENT") return null;
+                throw err;
+            }
+        },
+
+        async write(key, data) {
+            const path = pathFor(key);
+            await mkdir(dirname(path), { recursive: true });
+            await writeFile(path, data);
+        },
+
+        async list(prefix = "") {
+            const root = prefix ? pathFor(prefix.replace(/\/$/, "")) : dir;
+            let entries;
+            try {
+                entries = await readdir(root, { recursive: true, withFileTypes: true });
+            } catch (err) {
+                if (err.code === "ENOENT") return [];
+                throw err;
+            }
+            return entries
+                .filter((entry) => entry.isFile())
+                .map((entry) => join(entry.parentPath ?? entry.path, entry.name).slice(dir.length + 1).split(sep).join("/"));
+        },
+
+        location(key = "") {
+            return key ? pathFor(key) : dir;
+        },
+    };
+}
+
+// ============================================================
+// S3-COMPATIBLE OBJECT STORAGE
+// ============================================================
+
+/**
+ * @param {Object} options
+ * @param {string} options.bucket - Bucket name
+ * @param {string} [options.endpoint] - e.g. `http://localhost:9000` for MinIO; defaults to AWS S3
+ * @param {string} [options.region='us-east-1'] - Signing region
+ * @param {string} [options.prefix] - Key prefix inside the bucket
+ * @param {string} options.accessKeyId
+ * @param {string} options.secretAccessKey
+ * @param {string} [options.sessionToken] - For temporary credentials
+ * @param {boolean} [options.forcePathStyle] - `endpoint/bucket/key` URLs instead of
+ *   `bucket.endpoint/key`; defaults to true when an endpoint is given
+ * @param {Function} [options.fetch] - fetch implementation
+ */
+export function createS3Storage(options) {
+    const {
+        bucket,
+        region = "us-east-1",
+        accessKeyId,
+        secretAccessKey,
+        sessionToken,
+        fetch = globalThis.fetch,
+    } = options;
+    const prefix = options.prefix ? options.prefix.replace(/\/?$/, "/") : "";
+    const endpoint = new URL(options.endpoint || `https://s3.${region}.amazonaws.com`);
+    const pathStyle = options.forcePathStyle ?? !!options.endpoint;
+
+    if (!bucket || !accessKeyId || !secretAccessKey) {
+        throw new Error("S3 storage needs a bucket, accessKeyId and secretAccessKey");
+    }
+
+    function urlFor(key, query = {}) {
+        const url = new URL(endpoint);
+        const path = key ? `/${encodePath(key)}` : "/";
+        if (pathStyle) {
+            url.pathname = `${endpoint.pathname.replace(/\/$/, "")}/${bucket}${path}`;
+        } else {
+            url.hostname = `${bucket}.${endpoint.hostname}`;
+            url.pathname = path;
+        }
+        // Encoded the way SigV4 canonicalizes it, so what's sent is what's signed
+        url.search = Object.entries(query)
+            .filter(([, value]) => value != null)
+            .map(([name, value]) => `${encodeRfc3986(name)}=${encodeRfc3986(value)}`)
+            .join("&");
+        return url;
+    }
+
+    async function request(method, key, { body, query, contentType } = {}) {
+        const url = urlFor(key, query);
+        const headers = signRequest({
+            method,
+            url,
+            body: body ?? "",
+            region,
+            accessKeyId,
+            secretAccessKey,
+            sessionToken,
+        });
+        if (contentType) headers["content-type"] = contentType;
+        delete headers.host; // set by fetch from the URL
+
+        const res = await fetch(url, { method, headers, body });
+        if (!res.ok && res.status !== 404) {
+            const text = await res.text().catch(() => "");
+            throw new Error(`S3 ${method} ${key || "/"} failed: ${res.status} ${text.match(/<Code>(.*?)<\/Code>/)?.[1] || ""}`.trim());
+        }
+        return res;
+    }
+
+    const storage = {
+        async read(key) {
+            const res = await request("GET", prefix + assertValidKey(key));
+            if (res.status === 404) return null;
+            return Buffer.from(await res.arrayBuffer());
+        },
+
+        async write(key, data) {
+            const body = typeof data === "string" ? Buffer.from(data) : data;
+            const res = await request("PUT", prefix + assertValidKey(key), { body, contentType: contentTypeFor(key) });
+            if (res.status === 404) throw new Error(`S3 bucket not found: ${bucket}`);
+        },
+
+        async list(listPrefix = "") {
+            const keys = [];
+            let continuationToken;
+            do {
+                const res = await request("GET", "", {
+                    query: {
+                        "list-type": "2",
+                        prefix: prefix + listPrefix,
+                        "continuation-token": continuationToken,
+                    },
+                });
+                if (res.status === 404) throw new Error(`S3 bucket not found: ${bucket}`);
+                const xml = await res.text();
+                for (const [, key] of xml.matchAll(/<Key>(.*?)<\/Key>/g)) {
+                    keys.push(decodeXml(key).slice(prefix.length));
+                }
+                continuationToken = xml.match(/<NextContinuationToken>(.*?)<\/NextContinuationToken>/)?.[1];
+                continuationToken &&= decodeXml(continuationToken);
+            } while (continuationToken);
+            return keys;
+        },
+
+        location(key = "") {
+            return `s3://${bucket}/${prefix}${key}`;
+        },
+    };
+    return storage;
+}
+
+/**
+ * Sign a request with AWS Signature Version 4. Returns the headers to send.
+ */
+function signRequest({ method, url, body, region, accessKeyId, secretAccessKey, sessionToken }) {
+    const amzDate = new Date().toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+    const date = amzDate.slice(0, 8);
+    const scope = `${date}/${region}/s3/aws4_request`;
+
+    const headers = {
+        host: url.host,
+        "x-amz-content-sha256": sha256(body),
+        "x-amz-date": amzDate,
+        ...(sessionToken && { "x-amz-security-token": sessionToken }),
+    };
+    const signedHeaders = Object.keys(headers).sort();
+
+    const query = Array.from(url.searchParams.entries())
+        .map(([name, value]) => [encodeRfc3986(name), encodeRfc3986(value)])
+        .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+        .map(([name, value]) => `${name}=${value}`)
+        .join("&");
+
+    const canonicalRequest = [
+        method,
+        url.pathname,
+        query,
+        signedHeaders.map((name) => `${name}:${headers[name]}\n`).join(""),
+        signedHeaders.join(";"),
+        headers["x-amz-content-sha256"],
+    ].join("\n");
+
+    const stringToSign = ["AWS4-HMAC-SHA256", amzDate, scope, sha256(canonicalRequest)].join("\n");
+
+    let signingKey = hmac(`AWS4${secretAccessKey}`, date);
+    for (const part of [region, "s3", "aws4_request"]) signingKey = hmac(signingKey, part);
+    const signature = hmac(signingKey, stringToSign).toString("hex");
+
+    headers.authorization = `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, `
+        + `SignedHeaders=${signedHeaders.join(";")}, Signature=${signature}`;
+    return headers;
+}
+
+function sha256(data) {
+    return createHash("sha256").update(data).digest("hex");
+}
+
+function hmac(key, data) {
+    return createHmac("sha256", key).update(data).digest();
+}
+
+// encodeURIComponent leaves !'()* alone, SigV4 wants them encoded
+function encodeRfc3986(value) {
+    return encodeURIComponent(value).replace(/[!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function encodePath(key) {
+    return key.split("/").map(encodeRfc3986).join("/");
+}
+
+function decodeXml(text) {
+    return text
+        .replace(/&lt;/g, "<")
+        .replace(/&gt;/g, ">")
+        .replace(/&quot;/g, "\"")
+        .replace(/&apos;/g, "'")
+        .replace(/&amp;/g, "&");
+}
+
+const CONTENT_TYPES = {
+    json: "application/json",
+    jsonl: "application/x-ndjson",
+    txt: "text/plain; charset=utf-8",
+    wav: "audio/wav",
+    webm: "audio/webm",
+    ogg: "audio/ogg",
+    mp3: "audio/mpeg",
+};
+
+export function contentTypeFor(key) {
+    return CONTENT_TYPES[key.split(".").pop()] || "application/octet-stream";
+}
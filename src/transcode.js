@@ -0,0 +1,298 @@
+/**
+ * Audio Transcoding
+ *
+ * Turn audio arrives either as PCM16 (WebSocket sessions) or as WebM/Opus
+ * recorded by MediaRecorder (WebRTC sessions). WebM is poorly supported
+ * outside browsers, so turns are also exported as WAV and Ogg/Opus:
+ * - WebM/Opus -> Ogg/Opus is a remux of the Opus packets, done here
+ * - Anything that needs decoding or encoding (WebM -> WAV, PCM16 -> Ogg,
+ *   MP3) is done by ffmpeg when it's installed (`FFMPEG_PATH`, or `ffmpeg`
+ *   on the PATH). Without it, those formats are skipped.
+ *
+ * Also builds the stereo session recording from the turns' PCM.
+ */
+
+import { spawn } from "child_process";
+import { randomBytes } from "crypto";
+import { wavHeader, PCM16_SAMPLE_RATE } from "./pcm.js";
+import { parseWebm, blockFrames } from "./webm.js";
+
+const FFMPEG_TIMEOUT_MS = 60000;
+
+// Opus always runs at 48kHz, whatever the input rate was
+const OPUS_SAMPLE_RATE = 48000;
+
+// Frames the stereo recording is mixed in at a time
+const MIX_BLOCK_FRAMES = 24000;
+
+function log(...args) {
+    console.log("[Transcode]", ...args);
+}
+
+// ============================================================
+// WEBM/OPUS -> OGG/OPUS
+// ============================================================
+
+/**
+ * The Opus packets of a WebM/Opus file, with the track's OpusHead.
+ * Returns null if the file has no Opus track.
+ */
+function readWebmOpus(webm) {
+    const parsed = parseWebm(webm);
+    const track = parsed?.trackEntries.find((entry) => entry.codecId === "A_OPUS");
+    if (!track) return null;
+
+    const packets = parsed.blocks
+        .filter((block) => block.track === (track.number ?? 1))
+        .flatMap((block) => blockFrames(block));
+    const head = track.codecPrivate?.subarray(0, 8).toString("ascii") === "OpusHead"
+        ? track.codecPrivate
+        : opusHead(track.channels);
+    return { head, packets };
+}
+
+// Identification header, for tracks that don't carry one as CodecPrivate
+function opusHead(channels) {
+    const head = Buffer.alloc(19);
+    head.write("OpusHead", 0, "ascii");
+    head[8] = 1;                                 // version
+    head[9] = channels;
+    head.writeUInt16LE(0, 10);                   // pre-skip
+    head.writeUInt32LE(OPUS_SAMPLE_RATE, 12);
+    head.writeInt16LE(0, 16);                    // output gain
+    head[18] = 0;                                // channel mapping family
+    return head;
+}
+
+function opusTags() {
+    const vendor = Buffer.from("realtime-observability");
+    const tags = Buffer.alloc(8 + 4 + vendor.length + 4);
+    tags.write("OpusTags", 0, "ascii");
+    tags.writeUInt32LE(vendor.length, 8);
+    vendor.copy(tags, 12);
+    tags.writeUInt32LE(0, 12 + vendor.length);   // no user comments
+    return tags;
+}
+
+/**
+ * Samples (at 48kHz) in an Opus packet, from its TOC byte (RFC 6716, 3.1).
+ */
+function opusPacketSamples(packet) {
+    if (packet.length === 0) return 0;
+    const config = packet[0] >> 3;
+    const frameMs = config < 12 ? [10, 20, 40, 60][config % 4]
+        : config < 16 ? [10, 20][config % 2]
+            : [2.5, 5, 10, 20][config % 4];
+    const code = packet[0] & 0x03;
+    const frames = code === 0 ? 1 : code === 3 ? (packet[1] ?? 0) & 0x3F : 2;
+    return frames * frameMs * (OPUS_SAMPLE_RATE / 1000);
+}
+
+/**
+ * Remux WebM/Opus into Ogg/Opus (RFC 7845) without decoding.
+ * Returns null if the input has no Opus track.
+ */
+export function webmToOgg(webm) {
+    const opus = readWebmOpus(Buffer.isBuffer(webm) ? webm : Buffer.from(webm));
+    if (!opus) return null;
+
+    const serial = randomBytes(4).readUInt32LE(0);
+    const pages = [];
+    let sequence = 0;
+
+    pages.push(oggPage([opus.head], { serial, sequence: sequence++, granule: 0, bos: true }));
+    pages.push(oggPage([opusTags()], { serial, sequence: sequence++, granule: 0 }));
+
+    // Roughly one second of audio per page; a page holds at most 255 lacing values
+    let granule = 0;
+    let batch = [];
+    let segments = 0;
+    const flush = (eos) => {
+        pages.push(oggPage(batch, { serial, sequence: sequence++, granule, eos }));
+        batch = [];
+        segments = 0;
+    };
+    for (const [i, packet] of opus.packets.entries()) {
+        const packetSegments = Math.floor(packet.length / 255) + 1;
+        if (batch.length > 0 && (segments + packetSegments > 255 || batch.length >= 50)) flush(false);
+        batch.push(packet);
+        segments += packetSegments;
+        granule += opusPacketSamples(packet);
+        if (i === opus.packets.length - 1) flush(true);
+    }
+    if (opus.packets.length === 0) {
+        // An empty stream still needs an end
+        pages.push(oggPage([], { serial, sequence: sequence++, granule: 0, eos: true }));
+    }
+
+    return Buffer.concat(pages);
+}
+
+function oggPage(packets, { serial, sequence, granule, bos = false, eos = false }) {
+    const lacing = [];
+    for (const packet of packets) {
+        let remaining = packet.length;
+        while (remaining >= 255) {
+            lacing.push(255);
+            remaining -= 255;
+        }
+        lacing.push(remaining);
+    }
+
+    const header = Buffer.alloc(27 + lacing.length);
+    header.write("OggS", 0, "ascii");
+    header[4] = 0;                                          // version
+    header[5] = (bos ? 0x02 : 0) | (eos ? 0x04 : 0);
+    header.writeBigUInt64LE(BigInt(granule), 6);
+    header.writeUInt32LE(serial, 14);
+    header.writeUInt32LE(sequence, 18);
+    header.writeUInt32LE(0, 22);                            // CRC, filled in below
+    header[26] = lacing.length;
+    Buffer.from(lacing).copy(header, 27);
+
+    const page = Buffer.concat([header, ...packets]);
+    page.writeUInt32LE(oggCrc(page), 22);
+    return page;
+}
+
+const CRC_TABLE = new Uint32Array(256).map((_, i) => {
+    let crc = i << 24;
+    for (let bit = 0; bit < 8; bit++) {
+        crc = crc & 0x80000000 ? (crc << 1) ^ 0x04C11DB7 : crc << 1;
+    }
+    return crc >>> 0;
+});
+
+// CRC-32 as Ogg defines it: polynomial 0x04C11DB7, no reflection, no final XOR
+function oggCrc(page) {
+    let crc = 0;
+    for (const byte of page) {
+        crc = ((crc << 8) ^ CRC_TABLE[((crc >>> 24) ^ byte) & 0xFF]) >>> 0;
+    }
+    return crc;
+}
+
+// ============================================================
+// FFMPEG
+// ============================================================
+
+let ffmpegAvailable = null;
+
+/**
+ * Whether ffmpeg can be run. Checked once.
+ */
+export function hasFfmpeg() {
+    ffmpegAvailable ??= runFfmpeg(["-version"], Buffer.alloc(0))
+        .then(() => true, () => {
+            log("⚠️  ffmpeg not found: WAV export of WebM turns and Ogg/MP3 export of PCM turns are disabled");
+            return false;
+        });
+    return ffmpegAvailable;
+}
+
+function runFfmpeg(args, input) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(process.env.FFMPEG_PATH || "ffmpeg", args, { stdio: ["pipe", "pipe", "pipe"] });
+        const output = [];
+        let errors = "";
+        const timer = setTimeout(() => child.kill("SIGKILL"), FFMPEG_TIMEOUT_MS);
+
+        child.stdout.on("data", (chunk) => output.push(chunk));
+        child.stderr.on("data", (chunk) => { errors += chunk; });
+        child.on("error", (err) => {
+            clearTimeout(timer);
+            reject(err);
+        });
+        child.on("close", (code) => {
+            clearTimeout(timer);
+            if (code === 0) {
+                resolve(Buffer.concat(output));
+            } else {
+                reject(new Error(`ffmpeg exited with ${code ?? "a timeout"}: ${errors.trim().split("\n").pop() || ""}`));
+            }
+        });
+        // ffmpeg may exit before reading all of its input (e.g. -version)
+        child.stdin.on("error", () => {});
+        child.stdin.end(input);
+    });
+}
+
+const ENCODERS = {
+    ogg: ["-c:a", "libopus", "-f", "ogg"],
+    mp3: ["-c:a", "libmp3lame", "-f", "mp3"],
+};
+
+/**
+ * Decode WebM (or any format ffmpeg reads) to mono PCM16.
+ * Returns null without ffmpeg.
+ */
+export async function decodeToPcm(data, sampleRate = PCM16_SAMPLE_RATE) {
+    if (!await hasFfmpeg()) return null;
+    return runFfmpeg(
+        ["-hide_banner", "-loglevel", "error", "-i", "pipe:0", "-ac", "1", "-ar", String(sampleRate), "-f", "s16le", "pipe:1"],
+        data
+    );
+}
+
+/**
+ * Encode mono PCM16 as Ogg/Opus or MP3. Returns null without ffmpeg.
+ */
+export async function encodePcm(pcm, format, sampleRate = PCM16_SAMPLE_RATE) {
+    if (!ENCODERS[format]) throw new Error(`Unsupported audio format: ${format}`);
+    if (!await hasFfmpeg()) return null;
+    return runFfmpeg(
+        ["-hide_banner", "-loglevel", "error", "-f", "s16le", "-ar", String(sampleRate), "-ac", "1", "-i", "pipe:0", ...ENCODERS[format], "pipe:1"],
+        pcm
+    );
+}
+
+// ============================================================
+// WAV
+// ============================================================
+
+/**
+ * Wrap PCM16 in a WAV container.
+ */
+export function pcmToWav(pcm, sampleRate = PCM16_SAMPLE_RATE, channels = 1) {
+    return Buffer.concat([Buffer.from(wavHeader(pcm.length, sampleRate, channels)), pcm]);
+}
+
+/**
+ * Mix turns into a stereo WAV: the user on the left channel, the assistant
+ * on the right. Each clip is mono PCM16, placed `offsetMs` after the start
+ * of the recording; overlapping clips on a channel are summed. Clips at
+ * another sample rate are resampled (nearest sample). The sums are built
+ * one block of frames at a time and written straight into the WAV.
+ *
+ * @param {{ channel: 'left'|'right', offsetMs: number, pcm: Buffer, sampleRate?: number }[]} clips
+ */
+export function mixStereoWav(clips, sampleRate = PCM16_SAMPLE_RATE) {
+    const placed = clips.map((clip) => ({
+        channel: clip.channel === "left" ? 0 : 1,
+        start: Math.max(0, Math.round(clip.offsetMs * sampleRate / 1000)),
+        length: Math.floor((clip.pcm.length >> 1) * sampleRate / (clip.sampleRate || sampleRate)),
+        ratio: (clip.sampleRate || sampleRate) / sampleRate,
+        pcm: clip.pcm,
+    }));
+    const frames = placed.reduce((max, clip) => Math.max(max, clip.start + clip.length), 0);
+    const header = wavHeader(frames * 4, sampleRate, 2);
+    const wav = Buffer.alloc(header.length + frames * 4);
+    wav.set(header);
+
+    const sums = new Int32Array(MIX_BLOCK_FRAMES * 2);
+    for (let from = 0; from < frames; from += MIX_BLOCK_FRAMES) {
+        const to = Math.min(frames, from + MIX_BLOCK_FRAMES);
+        sums.fill(0);
+        for (const clip of placed) {
+            const end = Math.min(to, clip.start + clip.length);
+            for (let frame = Math.max(from, clip.start); frame < end; frame++) {
+                sums[(frame - from) * 2 + clip.channel] += clip.pcm.readInt16LE(Math.floor((frame - clip.start) * clip.ratio) * 2);
+            }
+        }
+        const offset = header.length + from * 4;
+        for (let i = 0; i < (to - from) * 2; i++) {
+            wav.writeInt16LE(Math.max(-32768, Math.min(32767, sums[i])), offset + i * 2);
+        }
+    }
+    return wav;
+}
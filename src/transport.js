@@ -0,0 +1,537 @@
+/**
+ * Observability Transport
+ *
+ * Delivers SDK payloads to the observability endpoint. Payloads are queued,
+ * sent in batches, retried with exponential backoff and, when IndexedDB is
+ * available, persisted so that anything still pending when the page goes
+ * away is delivered on the next load. On unload the queue is flushed with
+ * `navigator.sendBeacon`, which survives page teardown unlike `fetch`.
+ *
+ * `createWebSocketTransport` is an opt-in alternative that streams payloads
+ * over a single WebSocket, sending audio as binary frames instead of base64.
+ */
+
+const DB_NAME = 'realtime-observability';
+const STORE_NAME = 'queue';
+const OWNERS_STORE_NAME = 'owners';
+
+// Each page load owns the payloads it queued, and says it's still there
+// every OWNER_HEARTBEAT_MS. Payloads of an owner that hasn't been seen for
+// OWNER_STALE_MS (its page was closed or reloaded) are taken over. Timers
+// in background tabs may only run once a minute, hence the margin.
+const OWNER_HEARTBEAT_MS = 30 * 1000;
+const OWNER_STALE_MS = 3 * 60 * 1000;
+
+// sendBeacon payloads are limited to ~64KB in most browsers
+const BEACON_MAX_BYTES = 60 * 1024;
+
+/**
+ * Create a transport for the given endpoint.
+ *
+ * @param {Object} options
+ * @param {string} options.endpoint - URL to POST batches to
+ * @param {Function} options.fetch - The (unpatched) fetch implementation
+ * @param {number} [options.batchSize=20] - Max payloads per request
+ * @param {number} [options.flushInterval=1000] - Delay before a partial batch is sent (ms)
+ * @param {number} [options.maxQueueSize=500] - Max payloads kept while the endpoint is unreachable
+ * @param {number} [options.maxBackoff=30000] - Upper bound for the retry delay (ms)
+ * @param {boolean} [options.persist=true] - Mirror the queue to IndexedDB when available
+ * @param {Function} [options.log] - Debug logger
+ */
+export function createTransport(options) {
+    const {
+        endpoint,
+        fetch: send,
+        batchSize = 20,
+        flushInterval = 1000,
+        maxQueueSize = 500,
+        maxBackoff = 30000,
+        persist = true,
+        log = () => {},
+    } = options;
+
+    const queue = [];
+    const owner = randomId();
+    let nextId = 0;
+    let timer = null;
+    let sending = null;
+    let attempt = 0;
+    let closed = false;
+
+    const store = persist ? openQueueStore(log) : null;
+    let heartbeat = null;
+
+    if (store) {
+        // Pick up whatever page loads that are gone didn't manage to deliver,
+        // now and whenever one of them goes stale
+        const adopt = () => {
+            store.heartbeat(owner);
+            store.claim(owner, Date.now() - OWNER_STALE_MS).then((items) => {
+                const known = new Set(queue.map((item) => item.id));
+                const restored = items.filter((item) => !known.has(item.id));
+                if (closed || restored.length === 0) return;
+                log(`Restored ${restored.length} queued payloads`);
+                queue.unshift(...restored);
+                trimQueue();
+                schedule(0);
+            });
+        };
+        adopt();
+        heartbeat = setInterval(adopt, OWNER_HEARTBEAT_MS);
+    }
+
+    function enqueue(payload) {
+        if (closed) return;
+
+        // The ID lets the server drop payloads it has already received
+        const id = `${owner}_${nextId}`;
+        const item = {
+            id,
+            owner,
+            createdAt: Date.now(),
+            seq: nextId++,
+            type: payload.type,
+            body: JSON.stringify({ ...payload, payloadId: id }),
+        };
+        queue.push(item);
+        store?.put(item);
+        trimQueue();
+
+        // Lifecycle payloads are sent right away, everything else is batched
+        const urgent = payload.type === 'session_start' || payload.type === 'session_end';
+        schedule(urgent || queue.length >= batchSize ? 0 : flushInterval);
+    }
+
+    function trimQueue() {
+        while (queue.length > maxQueueSize) {
+            // Drop audio first: losing a chunk is cheaper than losing an event
+            const index = queue.findIndex((item) => item.type === 'audio');
+            const [dropped] = queue.splice(index === -1 ? 0 : index, 1);
+            store?.delete([dropped.id]);
+            log('Queue full, dropped payload:', dropped.type);
+        }
+    }
+
+    function schedule(delay) {
+        if (closed || sending) return;
+        if (timer && delay > 0) return;
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+            timer = null;
+            flush();
+        }, delay);
+    }
+
+    /**
+     * Send the next batch, or wait for the one in flight. Resolves to false
+     * when it failed and will be retried.
+     */
+    function flush() {
+        if (!sending && queue.length > 0) {
+            sending = sendBatch().then((delivered) => {
+                sending = null;
+                if (!delivered) {
+                    attempt++;
+                    const delay = Math.min(maxBackoff, 1000 * 2 ** (attempt - 1));
+                    const jitter = Math.random() * delay * 0.2;
+                    log(`Retrying in ${Math.round(delay + jitter)}ms (attempt ${attempt})`);
+                    schedule(delay + jitter);
+                } else {
+                    attempt = 0;
+                    if (queue.length > 0) schedule(queue.length >= batchSize ? 0 : flushInterval);
+                }
+                return delivered;
+            });
+        }
+        return sending || Promise.resolve(true);
+    }
+
+    /**
+     * Send batches until the queue is empty, or until one fails: what's
+     * left stays queued (and in IndexedDB) for a retry.
+     */
+    async function drain() {
+        while (queue.length > 0) {
+            if (!await flush()) return;
+        }
+    }
+
+    async function sendBatch() {
+        const batch = queue.slice(0, batchSize);
+        let retry = false;
+
+        try {
+            const response = await send(endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: serializeBatch(batch),
+            });
+
+            // Retry on server errors and throttling; other client errors
+            // won't get better by resending the same payloads
+            retry = response.status >= 500 || response.status === 408 || response.status === 429;
+            if (!response.ok && !retry) {
+                log(`Endpoint rejected batch (${response.status}), dropping ${batch.length} payloads`);
+            }
+        } catch (err) {
+            log('Failed to send to endpoint:', err.message);
+            retry = true;
+        }
+
+        if (retry) return false;
+
+        remove(batch);
+        return true;
+    }
+
+    function remove(items) {
+        const ids = new Set(items.map((item) => item.id));
+        for (let i = queue.length - 1; i >= 0; i--) {
+            if (ids.has(queue[i].id)) queue.splice(i, 1);
+        }
+        store?.delete([...ids]);
+    }
+
+    /**
+     * Hand the queue to the browser via sendBeacon. Used on page unload,
+     * when pending fetches would be cancelled. Payloads that don't fit
+     * stay in IndexedDB for the next page load.
+     */
+    function flushOnUnload() {
+        clearTimeout(timer);
+        timer = null;
+
+        remove(sendBeacons(endpoint, queue, log));
+    }
+
+    function close() {
+        clearTimeout(timer);
+        clearInterval(heartbeat);
+        timer = null;
+        closed = true;
+        // What's still queued goes to the next page load right away
+        store?.release(owner);
+    }
+
+    return {
+        send: enqueue,
+        flush: drain,
+        flushOnUnload,
+        close,
+        get size() { return queue.length; },
+    };
+}
+
+/**
+ * Create a WebSocket transport.
+ *
+ * Control payloads are sent as JSON text frames. Audio is sent as binary
+ * frames laid out as `[uint32 header length][JSON header][audio bytes]`,
+ * where the header is the payload without its data. The server acks every
+ * frame by sequence number; frames that haven't been acked are resent after
+ * a reconnect.
+ *
+ * @param {Object} options
+ * @param {string} options.url - WebSocket URL of the observability server
+ * @param {string} [options.beaconEndpoint] - HTTP endpoint used for the unload flush
+ * @param {Function} [options.WebSocket] - The (unpatched) WebSocket constructor
+ * @param {number} [options.maxQueueSize=500] - Max unacknowledged payloads kept
+ * @param {number} [options.maxBackoff=30000] - Upper bound for the reconnect delay (ms)
+ * @param {Function} [options.log] - Debug logger
+ */
+export function createWebSocketTransport(options) {
+    const {
+        url,
+        beaconEndpoint = null,
+        WebSocket: Socket = globalThis.WebSocket,
+        maxQueueSize = 500,
+        maxBackoff = 30000,
+        log = () => {},
+    } = options;
+
+    // Unacknowledged frames by sequence number, in send order
+    const pending = new Map();
+    const drainWaiters = [];
+    const owner = randomId();
+    let seq = 0;
+    let socket = null;
+    let attempt = 0;
+    let timer = null;
+    let closed = false;
+
+    function connect() {
+        if (closed) return;
+
+        const ws = new Socket(url);
+        ws.binaryType = 'arraybuffer';
+        socket = ws;
+
+        ws.onopen = () => {
+            attempt = 0;
+            log('WebSocket transport connected');
+            for (const item of pending.values()) ws.send(item.frame);
+        };
+
+        ws.onmessage = (event) => {
+            let message;
+            try {
+                message = JSON.parse(event.data);
+            } catch {
+                return;
+            }
+            if (message.type !== 'ack') return;
+
+            const item = pending.get(message.seq);
+            if (item && !message.ok) {
+                log(`Endpoint rejected ${item.type}: ${message.error}`);
+            }
+            pending.delete(message.seq);
+            if (pending.size === 0) {
+                drainWaiters.splice(0).forEach((resolve) => resolve());
+            }
+        };
+
+        ws.onclose = () => {
+            if (socket === ws) socket = null;
+            if (closed) return;
+
+            attempt++;
+            const delay = Math.min(maxBackoff, 1000 * 2 ** (attempt - 1));
+            log(`WebSocket transport disconnected, reconnecting in ${delay}ms`);
+            timer = setTimeout(connect, delay);
+        };
+
+        // An error is always followed by a close, which handles reconnecting
+        ws.onerror = () => {};
+    }
+
+    function enqueue(payload, binary) {
+        if (closed) return;
+
+        // Frames are resent after a reconnect; the payload ID lets the
+        // server drop the ones it had already handled
+        const header = { ...payload, seq: ++seq, payloadId: `${owner}_${seq}` };
+        const body = binary ? null : JSON.stringify(header);
+        const item = {
+            seq: header.seq,
+            type: payload.type,
+            body,
+            frame: binary ? encodeBinaryFrame(header, binary) : body,
+        };
+
+        pending.set(item.seq, item);
+        trimPending();
+
+        if (socket?.readyState === 1) {
+            socket.send(item.frame);
+        }
+    }
+
+    function trimPending() {
+        while (pending.size > maxQueueSize) {
+            // Drop audio first: losing a chunk is cheaper than losing an event
+            const audio = [...pending.values()].find((item) => item.type === 'audio');
+            const dropped = audio || pending.values().next().value;
+            pending.delete(dropped.seq);
+            log('Queue full, dropped payload:', dropped.type);
+        }
+    }
+
+    /**
+     * Resolve once every sent frame has been acknowledged, or after `timeout`.
+     */
+    function flush(timeout = 5000) {
+        if (pending.size === 0) return Promise.resolve();
+        return new Promise((resolve) => {
+            drainWaiters.push(resolve);
+            setTimeout(resolve, timeout);
+        });
+    }
+
+    /**
+     * The socket won't outlive the page, so hand unacknowledged control
+     * payloads to sendBeacon via the HTTP endpoint. Binary audio frames
+     * are not sent.
+     */
+    function flushOnUnload() {
+        if (!beaconEndpoint) return;
+        const items = [...pending.values()].filter((item) => item.body);
+        for (const item of sendBeacons(beaconEndpoint, items, log)) {
+            pending.delete(item.seq);
+        }
+    }
+
+    function close() {
+        closed = true;
+        clearTimeout(timer);
+        timer = null;
+        socket?.close();
+        socket = null;
+    }
+
+    connect();
+
+    return {
+        binary: true,
+        send: enqueue,
+        flush,
+        flushOnUnload,
+        close,
+        get size() { return pending.size; },
+    };
+}
+
+function encodeBinaryFrame(header, data) {
+    const headerBytes = new TextEncoder().encode(JSON.stringify(header));
+    const bytes = data instanceof ArrayBuffer
+        ? new Uint8Array(data)
+        : new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+    const frame = new Uint8Array(4 + headerBytes.length + bytes.length);
+    new DataView(frame.buffer).setUint32(0, headerBytes.length);
+    frame.set(headerBytes, 4);
+    frame.set(bytes, 4 + headerBytes.length);
+    return frame.buffer;
+}
+
+function serializeBatch(items) {
+    return `{"type":"batch","payloads":[${items.map((item) => item.body).join(',')}]}`;
+}
+
+/**
+ * Send queued items as beacon batches. Returns the items the browser accepted.
+ * Items are `{ body }` records holding a serialized payload.
+ */
+function sendBeacons(endpoint, items, log) {
+    const beacon = globalThis.navigator?.sendBeacon?.bind(globalThis.navigator);
+    if (!beacon) return [];
+
+    // Payloads too large for a beacon (big audio chunks) stay queued
+    const pending = items.filter((item) => item.body.length <= BEACON_MAX_BYTES);
+    if (pending.length < items.length) {
+        log(`${items.length - pending.length} payloads too large for beacon, leaving them queued`);
+    }
+
+    const accepted = [];
+    while (pending.length > 0) {
+        const batch = [];
+        let size = 0;
+        for (const item of pending) {
+            if (size + item.body.length > BEACON_MAX_BYTES) break;
+            batch.push(item);
+            size += item.body.length;
+        }
+
+        // text/plain keeps the beacon a CORS "simple" request (no preflight)
+        const sent = beacon(endpoint, new Blob([serializeBatch(batch)], { type: 'text/plain' }));
+        if (!sent) break;
+        pending.splice(0, batch.length);
+        accepted.push(...batch);
+    }
+    return accepted;
+}
+
+/**
+ * Minimal promise wrapper around the IndexedDB queue. Every operation is
+ * best-effort: if IndexedDB is missing or fails, the transport keeps
+ * working from memory.
+ *
+ * The queue is shared by every tab of the origin. Items carry the ID of the
+ * page load that queued them, and `owners` holds when each page load was
+ * last seen, so a tab only ever sends its own payloads and those of page
+ * loads that are gone.
+ */
+function openQueueStore(log) {
+    if (typeof indexedDB === 'undefined') return null;
+
+    const ready = new Promise((resolve) => {
+        try {
+            const request = indexedDB.open(DB_NAME, 2);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(STORE_NAME)) {
+                    db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains(OWNERS_STORE_NAME)) {
+                    db.createObjectStore(OWNERS_STORE_NAME, { keyPath: 'owner' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                log('IndexedDB unavailable:', request.error?.message);
+                resolve(null);
+            };
+        } catch (err) {
+            log('IndexedDB unavailable:', err.message);
+            resolve(null);
+        }
+    });
+
+    function run(mode, fn, stores = STORE_NAME) {
+        return ready.then((db) => new Promise((resolve) => {
+            if (!db) return resolve(null);
+            try {
+                const tx = db.transaction(stores, mode);
+                const result = fn(tx);
+                tx.oncomplete = () => resolve(result?.result ?? result ?? null);
+                tx.onerror = () => resolve(null);
+            } catch {
+                resolve(null);
+            }
+        }));
+    }
+
+    /**
+     * Take over the items of owners last seen before `staleBefore`, or not
+     * at all (items queued before there were owners). One transaction, so
+     * two tabs can't both take the same items.
+     */
+    function claim(owner, staleBefore) {
+        const claimed = [];
+        return run('readwrite', (tx) => {
+            const items = tx.objectStore(STORE_NAME);
+            const owners = tx.objectStore(OWNERS_STORE_NAME);
+            owners.getAll().onsuccess = (ownersEvent) => {
+                const live = new Set();
+                for (const record of ownersEvent.target.result) {
+                    if (record.seenAt >= staleBefore) {
+                        live.add(record.owner);
+                    } else {
+                        owners.delete(record.owner);
+                    }
+                }
+                live.add(owner);
+
+                items.getAll().onsuccess = (itemsEvent) => {
+                    for (const item of itemsEvent.target.result) {
+                        if (live.has(item.owner)) continue;
+                        item.owner = owner;
+                        items.put(item);
+                        claimed.push(item);
+                    }
+                };
+            };
+            return claimed;
+        }, [STORE_NAME, OWNERS_STORE_NAME])
+            .then((items) => (items || []).sort((a, b) => (a.createdAt ?? 0) - (b.createdAt ?? 0) || (a.seq ?? 0) - (b.seq ?? 0)));
+    }
+
+    return {
+        claim,
+        heartbeat: (owner) => run('readwrite', (tx) => {
+            tx.objectStore(OWNERS_STORE_NAME).put({ owner, seenAt: Date.now() });
+        }, OWNERS_STORE_NAME),
+        release: (owner) => run('readwrite', (tx) => {
+            tx.objectStore(OWNERS_STORE_NAME).delete(owner);
+        }, OWNERS_STORE_NAME),
+        put: (item) => run('readwrite', (tx) => { tx.objectStore(STORE_NAME).put(item); }),
+        delete: (ids) => run('readwrite', (tx) => {
+            for (const id of ids) tx.objectStore(STORE_NAME).delete(id);
+        }),
+    };
+}
+
+// Unique per page load (and per transport)
+function randomId() {
+    return globalThis.crypto?.randomUUID?.()
+        ?? `${Date.now().toString(36)}${Math.random().toString(36).slice(2)}`;
+}
@@ -0,0 +1,673 @@
+/**
+ * Turn Tracking
+ *
+ * Builds conversation turns from Realtime API events. Input turns are keyed by
+ * the user item's `item_id`, output turns by the `response_id`, so transcripts
+ * and audio that arrive late still land in the turn they belong to.
+ *
+ * A turn is finalized deterministically once everything it waits for has
+ * arrived, instead of after a fixed delay:
+ * - input:  speech stopped (or buffer committed), the transcript settled
+ *           (`...transcription.completed` / `.failed`, or transcription is off)
+ *           and the audio stream has been received past the end of speech
+ * - output: `response.done`, playback stopped (WebRTC only) and the audio
+ *           stream has been received past the end of playback
+ * A WebRTC direction no audio has arrived for yet is waited for up to two
+ * recorder timeslices: its first chunk may still be on the way.
+ *
+ * Output turns the user talked over (`response.cancel`, `output_audio_buffer.cleared`,
+ * `conversation.item.truncate(d)`, or a cancelled `response.done`) are flagged
+ * as interrupted, and their transcript is trimmed to what was actually heard.
+ *
+ * Function calls become tool turns keyed by `call_id`, finalized once the
+ * client sends the call's `function_call_output`.
+ *
+ * Output turns also carry latency metrics measured from the end of the user's
+ * speech (see `computeLatency`), and the token usage reported by `response.done`
+ * (see `normalizeUsage`).
+ *
+ * Everything here is pure state manipulation with no Node or browser
+ * dependencies, so the SDK and the server share it. Persisting finalized
+ * turns is up to the caller.
+ */
+
+// The data channel the Realtime API's events go over
+export const REALTIME_CHANNEL = 'oai-events';
+
+/**
+ * Whether an event belongs to the Realtime conversation: it came over a
+ * WebSocket (no `channel`) or the Realtime data channel, not one of the
+ * app's own data channels, which may relay or echo Realtime events.
+ */
+export function onRealtimeChannel(event) {
+    return event.channel === undefined || event.channel === REALTIME_CHANNEL;
+}
+
+// MediaRecorder timeslice used by the SDK: a WebM chunk covers roughly
+// this much audio before its timestamp
+const RECORDER_TIMESLICE_MS = 1000;
+
+// Speaking rate used to estimate how long a response's audio would have
+// played when only the transcript is known (WebRTC output)
+const ESTIMATED_CHARS_PER_SECOND = 15;
+
+/**
+ * Create the turn tracking state for a session.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.transport='webrtc'] - 'webrtc' or 'websocket'
+ */
+export function createTurnState({ transport = 'webrtc' } = {}) {
+    return {
+        transport,
+        turnCount: 0,
+        turns: new Map(),          // key ("input:<item_id>" / "output:<response_id>" / "tool:<call_id>") -> turn
+        inputTranscription: false, // whether input transcripts will arrive
+        lastSpeechStoppedAt: null, // end of speech not yet answered by a response
+        model: null,               // from the session configuration
+        rateLimits: null,          // latest `rate_limits.updated` state
+        lastAt: 0,                 // latest event or audio timestamp, in epoch ms
+        audio: {
+            // `origin`: when the input audio buffer's timeline (`audio_start_ms` /
+            // `audio_end_ms`) started, in epoch ms. `speech_stopped` is sent once
+            // the server has received `audio_end_ms` of audio, so the smallest
+            // `timestamp - audio_end_ms` is the closest estimate.
+            input: { format: null, receivedUntil: 0, origin: null },
+            output: { format: null, receivedUntil: 0 },
+        },
+    };
+}
+
+/**
+ * Apply a realtime event to the turn state.
+ * Returns the turns that were finalized by it.
+ */
+export function applyEvent(state, event) {
+    const at = Date.parse(event.timestamp) || Date.now();
+    state.lastAt = Math.max(state.lastAt, at);
+
+    switch (event.type) {
+        // Session configuration tells us whether input transcripts will arrive
+        case 'session.created':
+        case 'session.updated': {
+            const config = event.session || {};
+            state.inputTranscription = !!(config.audio?.input?.transcription || config.input_audio_transcription);
+            state.model = config.model ?? state.model;
+            break;
+        }
+        case 'rate_limits.updated':
+            state.rateLimits = (event.rate_limits || []).map((limit) => ({
+                name: limit.name,
+                limit: limit.limit,
+                remaining: limit.remaining,
+                resetSeconds: limit.reset_seconds,
+                at: event.timestamp,
+            }));
+            break;
+
+        // Input turns
+        case 'input_audio_buffer.speech_started': {
+            const turn = inputTurn(state, event.item_id, event.timestamp);
+            turn.audioStartedAt ??= at;
+            turn.audioStartMs = event.audio_start_ms;
+            break;
+        }
+        case 'input_audio_buffer.speech_stopped': {
+            const turn = inputTurn(state, event.item_id, event.timestamp);
+            turn.audioStartedAt ??= at;
+            turn.audioEndedAt = at;
+            turn.audioEndMs = event.audio_end_ms;
+            state.lastSpeechStoppedAt = at;
+            if (typeof event.audio_end_ms === 'number') {
+                const input = state.audio.input;
+                input.origin = Math.min(input.origin ?? Infinity, at - event.audio_end_ms);
+            }
+            break;
+        }
+        case 'input_audio_buffer.committed': {
+            const turn = inputTurn(state, event.item_id, event.timestamp);
+            turn.previousItemId = event.previous_item_id ?? turn.previousItemId;
+            // Manual commits (no server VAD) end the input here
+            if (turn.audioStartedAt && !turn.audioEndedAt) turn.audioEndedAt = at;
+            turn.committed = true;
+            break;
+        }
+        case 'conversation.item.create':
+        case 'conversation.item.added':
+        case 'conversation.item.created': {
+            const item = event.item;
+            if (item?.type === 'function_call_output') {
+                const turn = toolTurn(state, item.call_id, event.timestamp);
+                turn.output ??= item.output ?? '';
+                turn.timing.outputAt ??= at;
+                break;
+            }
+            // The client's own create has no item ID yet; the server echoes it with one
+            if (event.type === 'conversation.item.create' || item?.role !== 'user') break;
+
+            const turn = inputTurn(state, item.id, event.timestamp);
+            turn.previousItemId = event.previous_item_id ?? turn.previousItemId;
+            turn.committed = true;
+
+            // Typed messages have their text up front and no audio to wait for
+            const text = (item.content || [])
+                .filter((part) => part.type === 'input_text')
+                .map((part) => part.text)
+                .join(' ');
+            if (text) {
+                turn.transcript = text;
+                turn.transcriptDone = true;
+            }
+            break;
+        }
+        case 'conversation.item.input_audio_transcription.delta': {
+            const turn = inputTurn(state, event.item_id, event.timestamp);
+            turn.transcript += event.delta || '';
+            break;
+        }
+        case 'conversation.item.input_audio_transcription.completed': {
+            const turn = inputTurn(state, event.item_id, event.timestamp);
+            turn.transcript = event.transcript ?? turn.transcript;
+            turn.transcriptDone = true;
+            break;
+        }
+        case 'conversation.item.input_audio_transcription.failed': {
+            const turn = inputTurn(state, event.item_id, event.timestamp);
+            turn.transcriptDone = true;
+            turn.transcriptError = event.error?.message || 'Transcription failed';
+            break;
+        }
+
+        // Output turns
+        case 'response.created': {
+            // A new response means earlier ones won't be truncated any more
+            for (const previous of state.turns.values()) {
+                if (previous.type === 'output') previous.superseded = true;
+            }
+            const turn = outputTurn(state, event.response?.id, event.timestamp);
+            turn.status = event.response?.status ?? turn.status;
+            turn.timing.createdAt ??= at;
+            // The speech this response answers, if it was triggered by speech
+            turn.timing.speechStoppedAt ??= state.lastSpeechStoppedAt;
+            state.lastSpeechStoppedAt = null;
+            // WebSocket sessions stream audio as part of the response
+            if (state.transport === 'websocket') turn.audioStartedAt ??= at;
+            break;
+        }
+        case 'response.output_item.added': {
+            const turn = outputTurn(state, event.response_id, event.timestamp);
+            if (event.item?.id && !turn.itemIds.includes(event.item.id)) {
+                turn.itemIds.push(event.item.id);
+            }
+            if (event.item?.type === 'function_call') {
+                const call = toolTurn(state, event.item.call_id, event.timestamp);
+                call.name = event.item.name ?? call.name;
+                call.itemId = event.item.id ?? call.itemId;
+                call.responseId = event.response_id ?? call.responseId;
+            }
+            break;
+        }
+
+        // Function calls
+        case 'response.function_call_arguments.delta': {
+            const call = toolTurn(state, event.call_id, event.timestamp);
+            call.arguments += event.delta || '';
+            call.itemId ??= event.item_id ?? null;
+            call.responseId ??= event.response_id ?? null;
+            break;
+        }
+        case 'response.function_call_arguments.done': {
+            const call = toolTurn(state, event.call_id, event.timestamp);
+            call.arguments = event.arguments ?? call.arguments;
+            call.name = event.name ?? call.name;
+            call.itemId ??= event.item_id ?? null;
+            call.responseId ??= event.response_id ?? null;
+            call.timing.calledAt ??= at;
+            break;
+        }
+        case 'response.output_item.done': {
+            const item = event.item;
+            if (item?.type !== 'function_call') break;
+            const call = toolTurn(state, item.call_id, event.timestamp);
+            call.name = item.name ?? call.name;
+            call.arguments = item.arguments ?? call.arguments;
+            call.timing.calledAt ??= at;
+            break;
+        }
+        case 'response.output_audio_transcript.delta':
+        case 'response.audio_transcript.delta': {
+            const turn = outputTurn(state, event.response_id, event.timestamp);
+            turn.transcript += event.delta || '';
+            turn.hasAudio = true;
+            turn.timing.firstTranscriptAt ??= at;
+            break;
+        }
+        case 'response.output_audio_transcript.done':
+        case 'response.audio_transcript.done': {
+            const turn = outputTurn(state, event.response_id, event.timestamp);
+            turn.transcript = event.transcript ?? turn.transcript;
+            turn.hasAudio = true;
+            break;
+        }
+        case 'response.output_audio.delta':
+        case 'response.audio.delta': {
+            const turn = outputTurn(state, event.response_id, event.timestamp);
+            turn.hasAudio = true;
+            // Over WebSocket the first delta is the first audio the client can play
+            if (state.transport === 'websocket') turn.timing.firstAudioAt ??= at;
+            break;
+        }
+        case 'response.output_audio.done':
+        case 'response.audio.done': {
+            const turn = outputTurn(state, event.response_id, event.timestamp);
+            turn.hasAudio = true;
+            break;
+        }
+        case 'output_audio_buffer.started': {
+            const turn = outputTurn(state, event.response_id, event.timestamp);
+            turn.hasAudio = true;
+            turn.playback = 'playing';
+            turn.audioStartedAt ??= at;
+            turn.timing.firstAudioAt ??= at;
+            break;
+        }
+        case 'output_audio_buffer.stopped': {
+            const turn = outputTurn(state, event.response_id, event.timestamp);
+            turn.playback = 'stopped';
+            turn.audioEndedAt = at;
+            turn.timing.playbackEndedAt = at;
+            break;
+        }
+
+        // Interruptions (barge-in)
+        case 'output_audio_buffer.cleared': {
+            const turn = outputTurn(state, event.response_id, event.timestamp);
+            turn.playback = 'cleared';
+            turn.audioEndedAt = at;
+            turn.timing.playbackEndedAt = at;
+            markInterrupted(turn, event, 'buffer_cleared');
+            break;
+        }
+        case 'response.cancel': {
+            const turn = event.response_id
+                ? state.turns.get(`output:${event.response_id}`)
+                : latestOutputTurn(state);
+            if (turn) markInterrupted(turn, event, 'client_cancelled');
+            break;
+        }
+        case 'conversation.item.truncate':
+        case 'conversation.item.truncated': {
+            const turn = outputTurnForItem(state, event.item_id);
+            if (turn) {
+                turn.truncated = true;
+                markInterrupted(turn, event, 'truncated', event.audio_end_ms);
+            }
+            break;
+        }
+
+        case 'response.done': {
+            const response = event.response || {};
+            const turn = outputTurn(state, response.id, event.timestamp);
+            turn.responseDone = true;
+            turn.status = response.status ?? turn.status;
+            turn.timing.doneAt = at;
+            turn.usage = normalizeUsage(response.usage);
+            if (response.status === 'cancelled') {
+                markInterrupted(turn, event, 'cancelled');
+                // The API's own reason (turn_detected, client_cancelled) is the most precise
+                if (response.status_details?.reason) {
+                    turn.interruption.reason = response.status_details.reason;
+                }
+            }
+            for (const item of response.output || []) {
+                if (item.id && !turn.itemIds.includes(item.id)) turn.itemIds.push(item.id);
+            }
+            if (state.transport === 'websocket' && turn.audioStartedAt) turn.audioEndedAt = at;
+            break;
+        }
+    }
+
+    // Personal data was redacted from the event (see redact.js)
+    if (event.redacted?.length) {
+        const turn = turnOfEvent(state, event);
+        if (turn) turn.redacted = true;
+    }
+
+    return collectFinalized(state);
+}
+
+// The turn an event's content belongs to, if it has been created
+function turnOfEvent(state, event) {
+    const keys = [
+        event.call_id && `tool:${event.call_id}`,
+        event.item?.call_id && `tool:${event.item.call_id}`,
+        event.response_id && `output:${event.response_id}`,
+        event.response?.id && `output:${event.response.id}`,
+        event.item_id && `input:${event.item_id}`,
+        event.item?.id && `input:${event.item.id}`,
+    ];
+    return keys.filter(Boolean).map((key) => state.turns.get(key)).find(Boolean) ?? null;
+}
+
+/**
+ * Apply an audio chunk to the turn state. The chunk is attached to the turn
+ * whose audio window it overlaps: the open turn for its direction, or the
+ * most recent closed turn whose end falls inside the chunk.
+ * Returns the turns that were finalized by it.
+ */
+export function applyAudio(state, audio) {
+    // The direction comes from the client: never a prototype key
+    if (!Object.hasOwn(state.audio, audio.direction)) return [];
+    const stream = state.audio[audio.direction];
+
+    const format = audio.format || 'webm';
+    const at = Date.parse(audio.timestamp) || Date.now();
+    const chunkStart = format === 'pcm16' ? at : at - RECORDER_TIMESLICE_MS;
+
+    stream.format = format;
+    stream.receivedUntil = Math.max(stream.receivedUntil, at);
+    state.lastAt = Math.max(state.lastAt, at);
+
+    const candidates = Array.from(state.turns.values())
+        .filter((turn) => turn.type === audio.direction && !turn.finalized && turn.audioStartedAt);
+    const target = candidates.find((turn) => !turn.audioEndedAt)
+        || candidates.filter((turn) => chunkStart <= turn.audioEndedAt).pop();
+
+    if (target) {
+        target.audioChunks.push(audio.data);
+        target.audioBytes += typeof audio.data === 'string'
+            ? Math.floor(audio.data.length * 3 / 4)
+            : audio.data.length;
+        target.audioFormat = format;
+        target.sampleRate = audio.sampleRate;
+    }
+
+    return collectFinalized(state);
+}
+
+/**
+ * Finalize every turn that's still open, e.g. when the session ends.
+ */
+export function flushTurns(state) {
+    const open = Array.from(state.turns.values()).filter((turn) => !turn.finalized);
+    for (const turn of open) finalize(turn);
+    return open;
+}
+
+function markInterrupted(turn, event, reason, audioEndMs) {
+    turn.interrupted = true;
+    turn.interruption ??= { reason, at: event.timestamp, audioEndMs: null };
+    if (audioEndMs != null) turn.interruption.audioEndMs = audioEndMs;
+}
+
+function latestOutputTurn(state) {
+    return Array.from(state.turns.values()).filter((t) => t.type === 'output' && !t.finalized).pop();
+}
+
+function outputTurnForItem(state, itemId) {
+    return Array.from(state.turns.values())
+        .filter((t) => t.type === 'output' && t.itemIds.includes(itemId))
+        .pop();
+}
+
+/**
+ * How much of an interrupted turn's audio the user heard, in ms.
+ * Prefers the truncation offset; falls back to how long it played.
+ */
+function heardMs(turn) {
+    if (turn.interruption.audioEndMs != null) return turn.interruption.audioEndMs;
+    if (turn.playback === 'cleared' && turn.audioStartedAt) {
+        return turn.audioEndedAt - turn.audioStartedAt;
+    }
+    return null;
+}
+
+/**
+ * Full length of a turn's audio in ms: exact for PCM16, estimated from the
+ * transcript for WebRTC, where only the played part is ever recorded.
+ */
+function fullAudioMs(turn) {
+    if (turn.audioFormat === 'pcm16' && turn.audioBytes > 0) {
+        return turn.audioBytes / ((turn.sampleRate || 24000) * 2 / 1000);
+    }
+    return turn.transcript.length / ESTIMATED_CHARS_PER_SECOND * 1000;
+}
+
+/**
+ * Latency metrics for an output turn, in ms. Metrics measured from the end
+ * of speech are null for responses that weren't triggered by speech.
+ */
+export function computeLatency(turn) {
+    const t = turn.timing;
+    const between = (from, to) => (from != null && to != null ? to - from : null);
+    return {
+        speechStoppedToResponseCreatedMs: between(t.speechStoppedAt, t.createdAt),
+        speechStoppedToFirstTranscriptMs: between(t.speechStoppedAt, t.firstTranscriptAt),
+        speechStoppedToFirstAudioMs: between(t.speechStoppedAt, t.firstAudioAt),
+        responseDurationMs: between(t.createdAt, t.doneAt),
+        playbackDurationMs: between(t.firstAudioAt, t.playbackEndedAt),
+    };
+}
+
+/**
+ * Latency across all output turns of a session: per-turn metrics plus
+ * mean / median / max for each metric.
+ */
+export function summarizeLatency(state) {
+    const turns = Array.from(state.turns.values())
+        .filter((turn) => turn.type === 'output')
+        .map((turn) => ({ turnId: turn.id, responseId: turn.responseId, ...computeLatency(turn) }));
+
+    const summary = { responses: turns.length };
+    for (const metric of Object.keys(computeLatency({ timing: {} }))) {
+        const values = turns.map((turn) => turn[metric]).filter((v) => v != null).sort((a, b) => a - b);
+        summary[metric] = values.length === 0 ? null : {
+            mean: Math.round(values.reduce((sum, v) => sum + v, 0) / values.length),
+            median: values[Math.floor((values.length - 1) / 2)],
+            max: values[values.length - 1],
+        };
+    }
+    summary.turns = turns;
+    return summary;
+}
+
+/**
+ * Flatten a `response.done` usage object into token counts. Cached counts
+ * are included in the input counts, as in the API's own numbers.
+ */
+export function normalizeUsage(usage) {
+    if (!usage) return null;
+    const input = usage.input_token_details || {};
+    const cached = input.cached_tokens_details || {};
+    const output = usage.output_token_details || {};
+    return {
+        inputTokens: usage.input_tokens || 0,
+        outputTokens: usage.output_tokens || 0,
+        totalTokens: usage.total_tokens || 0,
+        input: {
+            text: input.text_tokens || 0,
+            audio: input.audio_tokens || 0,
+            image: input.image_tokens || 0,
+            cached: input.cached_tokens || 0,
+            cachedText: cached.text_tokens || 0,
+            cachedAudio: cached.audio_tokens || 0,
+            cachedImage: cached.image_tokens || 0,
+        },
+        output: {
+            text: output.text_tokens || 0,
+            audio: output.audio_tokens || 0,
+        },
+    };
+}
+
+/**
+ * Token usage summed over all responses of a session, or null if no
+ * response reported usage.
+ */
+export function summarizeUsage(state) {
+    const usages = Array.from(state.turns.values())
+        .filter((turn) => turn.type === 'output' && turn.usage)
+        .map((turn) => turn.usage);
+    if (usages.length === 0) return null;
+
+    const add = (a, b) => {
+        const sum = {};
+        for (const key of Object.keys(a)) {
+            sum[key] = typeof a[key] === 'object' ? add(a[key], b[key]) : a[key] + b[key];
+        }
+        return sum;
+    };
+    return { responses: usages.length, ...usages.reduce(add) };
+}
+
+function finalize(turn) {
+    turn.finalized = true;
+    if (turn.type === 'output') turn.latency = computeLatency(turn);
+    if (turn.type === 'tool') {
+        const { calledAt, outputAt } = turn.timing;
+        turn.durationMs = calledAt != null && outputAt != null ? outputAt - calledAt : null;
+    }
+    if (!turn.interrupted) return;
+
+    // Trim the transcript to what was heard, at a word boundary
+    const heard = heardMs(turn);
+    const full = fullAudioMs(turn);
+    turn.fullTranscript = turn.transcript;
+    if (heard != null && full > 0 && heard < full) {
+        const cut = Math.round(turn.transcript.length * heard / full);
+        const boundary = turn.transcript.lastIndexOf(' ', cut);
+        turn.transcript = turn.transcript.slice(0, boundary > 0 ? boundary : cut).trimEnd();
+    }
+    turn.interruption.heardMs = heard;
+}
+
+function inputTurn(state, itemId, timestamp) {
+    return findOrCreateTurn(state, 'input', itemId, timestamp, (turn) => {
+        turn.itemId = itemId ?? null;
+        turn.previousItemId = null;
+        turn.committed = false;
+        turn.transcriptDone = !state.inputTranscription;
+        turn.transcriptError = null;
+    });
+}
+
+function outputTurn(state, responseId, timestamp) {
+    return findOrCreateTurn(state, 'output', responseId, timestamp, (turn) => {
+        turn.responseId = responseId ?? null;
+        turn.itemIds = [];
+        turn.status = null;
+        turn.responseDone = false;
+        turn.hasAudio = false;
+        turn.playback = 'none';
+        turn.interrupted = false;
+        turn.interruption = null;
+        turn.truncated = false;
+        turn.superseded = false;
+        turn.timing = {
+            speechStoppedAt: null,
+            createdAt: null,
+            firstTranscriptAt: null,
+            firstAudioAt: null,
+            doneAt: null,
+            playbackEndedAt: null,
+        };
+        turn.latency = null;
+        turn.usage = null;
+    });
+}
+
+function toolTurn(state, callId, timestamp) {
+    return findOrCreateTurn(state, 'tool', callId, timestamp, (turn) => {
+        turn.callId = callId ?? null;
+        turn.name = null;
+        turn.itemId = null;
+        turn.responseId = null;
+        turn.arguments = '';
+        turn.output = null;
+        turn.timing = { calledAt: null, outputAt: null };
+        turn.durationMs = null;
+    });
+}
+
+function findOrCreateTurn(state, type, id, timestamp, init) {
+    // Events without an ID belong to the most recent open turn of that type
+    const key = id ? `${type}:${id}` : null;
+    let turn = key
+        ? state.turns.get(key)
+        : Array.from(state.turns.values()).filter((t) => t.type === type && !t.finalized).pop();
+
+    if (!turn) {
+        state.turnCount++;
+        turn = {
+            id: state.turnCount,
+            type,
+            key: key || `${type}:turn-${state.turnCount}`,
+            startedAt: timestamp,
+            audioStartedAt: null,
+            audioEndedAt: null,
+            audioChunks: [],
+            audioBytes: 0,
+            audioFormat: null,
+            sampleRate: null,
+            transcript: '',
+            redacted: false,
+            finalized: false,
+        };
+        init(turn);
+        state.turns.set(turn.key, turn);
+    }
+    return turn;
+}
+
+function audioComplete(state, turn) {
+    // Turns without an audio window (typed messages, text-only responses)
+    if (!turn.audioStartedAt) return true;
+    if (!turn.audioEndedAt) return false;
+
+    // PCM16 audio arrives in order with the events; recorded WebM chunks lag
+    // behind, so wait for a chunk recorded after the end of the turn
+    const stream = state.audio[turn.type];
+    if (stream.format === 'pcm16') return true;
+    if (!stream.format) {
+        // A recorder's first chunk comes a timeslice after it started, if
+        // this direction is recorded at all: give it two before giving up
+        return state.transport === 'websocket' || state.lastAt - turn.audioEndedAt > 2 * RECORDER_TIMESLICE_MS;
+    }
+    return stream.receivedUntil >= turn.audioEndedAt;
+}
+
+function isComplete(state, turn) {
+    if (turn.type === 'tool') return turn.timing.outputAt != null;
+
+    if (turn.type === 'input') {
+        const ended = turn.committed || !!turn.audioEndedAt;
+        return ended && turn.transcriptDone && audioComplete(state, turn);
+    }
+
+    if (!turn.responseDone) return false;
+
+    // WebRTC streams the audio in real time: wait until playback stopped,
+    // unless the response was cancelled before it ever started playing
+    if (state.transport === 'webrtc' && turn.hasAudio && turn.playback === 'playing') return false;
+    if (state.transport === 'webrtc' && turn.hasAudio && turn.playback === 'none' && turn.status !== 'cancelled') {
+        return false;
+    }
+
+    // On barge-in the server truncates the item right after clearing the
+    // buffer; wait for it (or the next response) to know what was heard
+    if (state.transport === 'webrtc' && turn.playback === 'cleared' && !turn.truncated && !turn.superseded) {
+        return false;
+    }
+    return audioComplete(state, turn);
+}
+
+function collectFinalized(state) {
+    const finalized = [];
+    for (const turn of state.turns.values()) {
+        if (!turn.finalized && isComplete(state, turn)) {
+            finalize(turn);
+            finalized.push(turn);
+        }
+    }
+    return finalized;
+}
@@ -0,0 +1,385 @@
+/**
+ * WebM
+ *
+ * Demuxing and remuxing of the WebM audio MediaRecorder produces, built on
+ * ebml.js. A turn's audio is a run of recorder chunks: the first chunk of a
+ * recording carries the initialization segment (EBML header, Info, Tracks),
+ * later ones only Clusters, and a chunk can start in the middle of a Cluster.
+ * `remuxWebm` turns such a run into a standalone file: timestamps starting
+ * at 0, sized elements, a Duration and Cues so players can seek.
+ */
+
+import {
+    ID, readElements, readVint, readUint, readFloat, readString,
+    element, uintElement, floatElement, encodeId,
+} from "./ebml.js";
+
+const DEFAULT_TIMECODE_SCALE = 1000000; // ns per timecode unit, i.e. milliseconds
+
+// Start a new Cluster after this long (in ms); block timecodes are relative
+// to their Cluster and must fit in an int16 either way
+const MAX_CLUSTER_MS = 5000;
+
+/**
+ * Whether a buffer starts with an EBML header, i.e. is the first chunk of a recording.
+ */
+export function isWebmHeader(buffer) {
+    return buffer.length >= 4 && buffer.readUInt32BE(0) === ID.EBML;
+}
+
+/**
+ * The initialization segment of a recording: everything before its first
+ * Cluster. Needed to make later chunks playable. Null if the buffer doesn't
+ * start a recording.
+ */
+export function initSegment(buffer) {
+    if (!isWebmHeader(buffer)) return null;
+    for (const el of readElements(buffer)) {
+        if (el.id === ID.Cluster || el.id === ID.SimpleBlock || el.id === ID.BlockGroup) {
+            return buffer.subarray(0, el.offset);
+        }
+    }
+    return buffer;
+}
+
+/**
+ * Parse a WebM file or a run of recorder chunks (initialization segment
+ * first).
+ *
+ * Returns `{ header, info, tracks, trackEntries, timecodeScale, blocks }`:
+ * - `header`: the EBML header element, as is
+ * - `info`: the Info element's children except Duration, as is
+ * - `tracks`: the Tracks element, as is
+ * - `trackEntries`: `{ number, codecId, codecPrivate, codecDelay, channels, samplingFrequency, defaultDuration }`
+ * - `blocks`: `{ track, time, keyframe, data, timecodeOffset }` in file order,
+ *   where `time` is absolute (in timecode units), `data` the SimpleBlock or
+ *   BlockGroup element and `timecodeOffset` where its int16 timecode is in `data`
+ *
+ * Blocks before the first Cluster header (a chunk that starts mid-Cluster)
+ * are placed right before the next Cluster, keeping their spacing. Returns
+ * null if there's no EBML header.
+ */
+export function parseWebm(buffer) {
+    if (!isWebmHeader(buffer)) return null;
+
+    const result = {
+        header: null,
+        info: [],
+        tracks: null,
+        trackEntries: [],
+        timecodeScale: DEFAULT_TIMECODE_SCALE,
+        blocks: [],
+    };
+    let track = null;
+    let clusterTime = null;
+    let group = null;               // the BlockGroup being read
+    const orphans = [];             // blocks whose Cluster header we didn't see
+
+    for (const el of readElements(buffer)) {
+        const data = () => buffer.subarray(el.dataOffset, el.end);
+
+        if (el.parent === "Info" && el.id !== ID.Duration && el.end !== null && el.end <= buffer.length) {
+            result.info.push(buffer.subarray(el.offset, el.end));
+        }
+
+        switch (el.id) {
+            case ID.EBML:
+                if (el.end !== null) result.header = buffer.subarray(el.offset, el.end);
+                break;
+            case ID.Tracks:
+                if (el.end !== null) result.tracks = buffer.subarray(el.offset, el.end);
+                break;
+            case ID.TimecodeScale:
+                result.timecodeScale = readUint(data()) || DEFAULT_TIMECODE_SCALE;
+                break;
+            case ID.TrackEntry:
+                track = { number: null, codecId: null, codecPrivate: null, codecDelay: 0, channels: 1, samplingFrequency: null, defaultDuration: null };
+                result.trackEntries.push(track);
+                break;
+            case ID.TrackNumber:
+                if (track) track.number = readUint(data());
+                break;
+            case ID.CodecID:
+                if (track) track.codecId = readString(data());
+                break;
+            case ID.CodecPrivate:
+                if (track) track.codecPrivate = Buffer.from(data());
+                break;
+            case ID.CodecDelay:
+                if (track) track.codecDelay = readUint(data());
+                break;
+            case ID.DefaultDuration:
+                if (track) track.defaultDuration = readUint(data());
+                break;
+            case ID.Channels:
+                if (track) track.channels = readUint(data());
+                break;
+            case ID.SamplingFrequency:
+                if (track) track.samplingFrequency = readFloat(data());
+                break;
+            case ID.Cluster:
+                clusterTime = null;
+                group = null;
+                break;
+            case ID.Timecode:
+                clusterTime = readUint(data());
+                // Orphans end just before this Cluster's first block
+                placeOrphans(orphans, clusterTime, result.blocks);
+                break;
+            case ID.BlockGroup:
+                // Its Block is read next; the whole group is kept (BlockDuration, ...)
+                group = el.end !== null && el.end <= buffer.length ? el : null;
+                break;
+            case ID.SimpleBlock:
+            case ID.Block: {
+                // A Block is only usable with its (complete) group
+                const container = el.id === ID.Block ? group : el;
+                group = null;
+                if (!container || el.offset >= container.end) break;
+
+                const block = readBlockHeader(buffer, el.dataOffset, el.end);
+                if (!block) break;
+                const parsed = {
+                    track: block.track,
+                    relative: block.timecode,
+                    time: null,
+                    keyframe: el.id === ID.SimpleBlock ? !!(block.flags & 0x80) : true,
+                    data: buffer.subarray(container.offset, container.end),
+                    timecodeOffset: el.dataOffset + block.timecodeOffset - container.offset,
+                };
+                if (container.parent !== "Cluster") {
+                    orphans.push(parsed);
+                } else if (clusterTime !== null) {
+                    parsed.time = clusterTime + block.timecode;
+                    result.blocks.push(parsed);
+                }
+                break;
+            }
+        }
+    }
+
+    // Orphans with no Cluster after them start the recording
+    placeOrphans(orphans, null, result.blocks);
+    return result;
+}
+
+function readBlockHeader(buffer, start, end) {
+    const track = readVint(buffer, start);
+    if (!track || track.value === null || start + track.length + 3 > end) return null;
+    return {
+        track: track.value,
+        timecodeOffset: track.length,
+        timecode: buffer.readInt16BE(start + track.length),
+        flags: buffer[start + track.length + 2],
+        framesOffset: track.length + 3,
+    };
+}
+
+/**
+ * Give blocks read before their Cluster header an absolute time. They
+ * belong to the Cluster before the one at `nextTime`, so they're placed to
+ * end one block before it, keeping their spacing; with no Cluster after
+ * them, they start at 0.
+ */
+function placeOrphans(orphans, nextTime, blocks) {
+    if (orphans.length === 0) return;
+    const first = orphans[0].relative;
+    const last = orphans[orphans.length - 1].relative;
+    const step = orphans.length > 1 ? (last - first) / (orphans.length - 1) : 0;
+    const start = nextTime === null ? 0 : Math.max(0, nextTime - step - (last - first));
+    for (const orphan of orphans) {
+        orphan.time = Math.round(start + orphan.relative - first);
+        blocks.push(orphan);
+    }
+    orphans.length = 0;
+}
+
+/**
+ * The frames of a block (SimpleBlock or BlockGroup element), with lacing undone.
+ */
+export function blockFrames(block) {
+    let data = block.data;
+    if (data[0] === ID.BlockGroup) {
+        const el = Array.from(readElements(data)).find((child) => child.id === ID.Block);
+        data = data.subarray(el.offset, el.end);
+    }
+    // Skip the SimpleBlock / Block ID (1 byte) and size
+    const size = readVint(data, 1);
+    const header = readBlockHeader(data, 1 + size.length, data.length);
+    let pos = 1 + size.length + header.framesOffset;
+
+    const lacing = (header.flags >> 1) & 0x03;
+    if (lacing === 0) return [data.subarray(pos)];
+
+    const count = data[pos++] + 1;
+    const sizes = [];
+    if (lacing === 1) {
+        // Xiph: each size as a run of 255s and a final byte
+        for (let i = 0; i < count - 1; i++) {
+            let frameSize = 0;
+            let byte;
+            do {
+                byte = data[pos++];
+                frameSize += byte;
+            } while (byte === 255);
+            sizes.push(frameSize);
+        }
+    } else if (lacing === 3) {
+        // EBML: the first size, then signed differences
+        const first = readVint(data, pos);
+        pos += first.length;
+        sizes.push(first.value);
+        for (let i = 1; i < count - 1; i++) {
+            const diff = readVint(data, pos);
+            const bias = 2 ** (7 * diff.length - 1) - 1;
+            pos += diff.length;
+            sizes.push(sizes[i - 1] + diff.value - bias);
+        }
+    }
+
+    const remaining = data.length - pos;
+    if (lacing === 2) {
+        // Fixed: equal sizes
+        for (let i = 0; i < count - 1; i++) sizes.push(remaining / count);
+    }
+    sizes.push(remaining - sizes.reduce((sum, n) => sum + n, 0));
+
+    const frames = [];
+    for (const frameSize of sizes) {
+        frames.push(data.subarray(pos, pos + frameSize));
+        pos += frameSize;
+    }
+    return frames;
+}
+
+/**
+ * Write a standalone WebM file from parsed parts (see `parseWebm`), with
+ * block times rebased to start at 0, sized Segment and Clusters, a Duration,
+ * a SeekHead and Cues.
+ */
+export function writeWebm({ header, info, tracks, timecodeScale = DEFAULT_TIMECODE_SCALE, blocks }) {
+    const t0 = blocks.reduce((min, block) => Math.min(min, block.time), Infinity);
+    const sorted = blocks
+        .map((block, index) => ({ block, index }))
+        .sort((a, b) => a.block.time - b.block.time || a.index - b.index)
+        .map(({ block }) => ({ ...block, time: block.time - t0 }));
+    const maxClusterUnits = Math.min(32767, Math.floor(MAX_CLUSTER_MS * 1000000 / timecodeScale));
+
+    // Group blocks into Clusters
+    const clusters = [];
+    for (const block of sorted) {
+        let cluster = clusters[clusters.length - 1];
+        if (!cluster || block.time - cluster.time > maxClusterUnits) {
+            cluster = { time: block.time, track: block.track, blocks: [] };
+            clusters.push(cluster);
+        }
+        const data = Buffer.from(block.data);
+        data.writeInt16BE(block.time - cluster.time, block.timecodeOffset);
+        cluster.blocks.push(data);
+    }
+
+    const clusterElements = clusters.map((cluster) =>
+        element(ID.Cluster, [uintElement(ID.Timecode, cluster.time), ...cluster.blocks]));
+
+    // The last block lasts as long as the gap before it
+    const last = sorted[sorted.length - 1];
+    const previous = sorted.slice(0, -1).reverse().find((block) => block.track === last?.track);
+    const duration = last ? last.time + (previous ? last.time - previous.time : 0) : 0;
+
+    const infoElement = element(ID.Info, [
+        ...info.filter((child) => readElementId(child) !== ID.TimecodeScale),
+        uintElement(ID.TimecodeScale, timecodeScale),
+        floatElement(ID.Duration, duration),
+    ]);
+    const tracksElement = tracks || Buffer.alloc(0);
+
+    // Positions are relative to the start of the Segment's data. The SeekHead
+    // has a fixed size (8-byte positions), so it can be built after layout.
+    const seekHeadSize = seekHead({ info: 0, tracks: 0, cues: 0 }).length;
+    const infoPosition = seekHeadSize;
+    const tracksPosition = infoPosition + infoElement.length;
+    let position = tracksPosition + tracksElement.length;
+    const cuePoints = clusters.map((cluster, i) => {
+        const cuePoint = element(ID.CuePoint, [
+            uintElement(ID.CueTime, cluster.time),
+            element(ID.CueTrackPositions, [
+                uintElement(ID.CueTrack, cluster.track),
+                uintElement(ID.CueClusterPosition, position),
+            ]),
+        ]);
+        position += clusterElements[i].length;
+        return cuePoint;
+    });
+    const cuesPosition = position;
+
+    const segment = element(ID.Segment, [
+        seekHead({ info: infoPosition, tracks: tracks ? tracksPosition : null, cues: cuePoints.length ? cuesPosition : null }),
+        infoElement,
+        tracksElement,
+        ...clusterElements,
+        ...(cuePoints.length ? [element(ID.Cues, cuePoints)] : []),
+    ], 8);
+
+    return Buffer.concat([header, segment]);
+}
+
+function seekHead(positions) {
+    const seeks = [
+        [ID.Info, positions.info],
+        [ID.Tracks, positions.tracks],
+        [ID.Cues, positions.cues],
+    ];
+    return element(ID.SeekHead, seeks.map(([id, position]) =>
+        position == null
+            // Keep the size fixed: a Void of the same length as a Seek
+            ? voidElement(element(ID.Seek, [element(ID.SeekID, encodeId(id)), uintElement(ID.SeekPosition, 0, 8)]).length)
+            : element(ID.Seek, [element(ID.SeekID, encodeId(id)), uintElement(ID.SeekPosition, position, 8)])));
+}
+
+function voidElement(length) {
+    // 1 byte ID + 1 byte size + data
+    return element(ID.Void, Buffer.alloc(length - 2));
+}
+
+function readElementId(buffer) {
+    const { value } = readElements(buffer).next();
+    return value?.id;
+}
+
+/**
+ * Make a run of recorder chunks (initialization segment first) a standalone,
+ * seekable file. Returns the input unchanged if it can't be parsed.
+ */
+export function remuxWebm(buffer) {
+    const parsed = parseWebm(buffer);
+    if (!parsed?.header || parsed.blocks.length === 0) return buffer;
+    return writeWebm(parsed);
+}
+
+/**
+ * Cut `[startMs, endMs)` out of a recording (initialization segment first)
+ * as a standalone file, to the nearest block (an Opus frame, usually 20ms):
+ * every block that overlaps the window is kept. Times are the recording's
+ * own, 0 being where the recorder started. Returns null if the recording
+ * can't be parsed or has no audio in the window.
+ */
+export function sliceWebm(buffer, startMs, endMs) {
+    const parsed = parseWebm(buffer);
+    if (!parsed?.header) return null;
+
+    const unitsPerMs = 1000000 / parsed.timecodeScale;
+    const start = startMs * unitsPerMs;
+    const end = endMs * unitsPerMs;
+
+    // A block lasts until the next one on its track (the last one, "forever")
+    const ends = new Array(parsed.blocks.length);
+    const nextOnTrack = new Map();
+    for (let i = parsed.blocks.length - 1; i >= 0; i--) {
+        const block = parsed.blocks[i];
+        ends[i] = nextOnTrack.get(block.track) ?? Infinity;
+        nextOnTrack.set(block.track, block.time);
+    }
+    const blocks = parsed.blocks.filter((block, i) => block.time < end && ends[i] > start);
+    if (blocks.length === 0) return null;
+    return writeWebm({ ...parsed, blocks });
+}
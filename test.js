@@ -5,12 +5,18 @@
  * 1. Serves the demo web app
  * 2. Proxies SDP signaling to OpenAI
  * 
- * Run: node test.js
+ * With --mock (or MOCK_REALTIME=true), it answers locally instead, with no
+ * API key or network (see src/mock-realtime.js): WebSocket sessions at
+ * ws://localhost:3000/v1/realtime, and WebRTC sessions through /session when
+ * a Node WebRTC stack is installed.
+ * 
+ * Run: node test.js [--mock]
  */
 
 import express from "express";
 import { fileURLToPath } from "url";
 import { dirname, join } from "path";
+import { attachMockRealtime, answerMockOffer } from "./src/mock-realtime.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -18,13 +24,14 @@ const __dirname = dirname(__filename);
 const app = express();
 const PORT = process.env.PORT || 3000;
 const LANGSMITH_URL = process.env.LANGSMITH_URL || "http://localhost:3001";
+const MOCK = process.argv.includes("--mock") || process.env.MOCK_REALTIME === "true";
 
 // Serve static files from public directory
 app.use(express.static(join(__dirname, "public")));
 
 const key = process.env.OPENAI_API_KEY;
-if (!key) {
-    throw new Error("OPENAI_API_KEY is not set");
+if (!key && !MOCK) {
+    throw new Error("OPENAI_API_KEY is not set (or run with --mock)");
 }
 
 // ============================================================
@@ -32,6 +39,19 @@ if (!key) {
 // ============================================================
 app.use(express.text({ type: ["application/sdp", "text/plain"] }));
 
+// Mock mode answers /session itself, ahead of the proxy below
+if (MOCK) {
+    app.post("/session", async (req, res) => {
+        console.log("[MockRealtime] Answering realtime session locally...");
+        try {
+            res.type("application/sdp").send(await answerMockOffer(req.body));
+        } catch (error) {
+            console.error("[MockRealtime] Error:", error.message);
+            res.status(501).json({ error: error.message });
+        }
+    });
+}
+
 const sessionConfig = JSON.stringify({
     type: "realtime",
     model: "gpt-realtime",
@@ -67,14 +87,17 @@ app.post("/session", async (req, res) => {
 // ============================================================
 // START SERVER
 // ============================================================
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
     console.log("");
     console.log("═══════════════════════════════════════════════════════════");
-    console.log("  🚀 OpenAI Realtime Demo Server");
+    console.log(`  🚀 OpenAI Realtime Demo Server${MOCK ? " (mock)" : ""}`);
     console.log("═══════════════════════════════════════════════════════════");
     console.log("");
     console.log(`  🌐 App:       http://localhost:${PORT}`);
     console.log(`  📄 Demo:      http://localhost:${PORT}/openai-example.html`);
+    if (MOCK) {
+        console.log(`  🧪 Mock:      ws://localhost:${PORT}/v1/realtime (no OpenAI calls)`);
+    }
     console.log("");
     console.log(`  🦜 LangSmith: ${LANGSMITH_URL}`);
     console.log(`     SDK:       ${LANGSMITH_URL}/sdk/index.js`);
@@ -83,3 +106,7 @@ app.listen(PORT, () => {
     console.log("═══════════════════════════════════════════════════════════");
     console.log("");
 });
+
+if (MOCK) {
+    attachMockRealtime(server);
+}
@@ -0,0 +1,86 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "fs";
+import { createAudioStream, appendAudio, sliceAudio, pruneAudio } from "../src/audio-stream.js";
+import { parseWebm } from "../src/webm.js";
+import { FIRST_TIMECODE, BLOCK_MS } from "./fixtures/make-webm-fixtures.js";
+
+const fixture = (name) => readFileSync(new URL(`./fixtures/${name}`, import.meta.url));
+
+// 100ms of PCM16 at 24kHz where every sample is `value`
+const pcmChunk = (value) => Buffer.from(new Int16Array(2400).fill(value).buffer);
+const pcmAudio = { format: "pcm16", sampleRate: 24000 };
+
+test("sliceAudio cuts PCM16 to the sample", () => {
+    const stream = createAudioStream();
+    for (let i = 0; i < 10; i++) appendAudio(stream, pcmAudio, pcmChunk(i));
+
+    const pcm = sliceAudio(stream, 250, 400);
+    assert.equal(pcm.length, 150 * 48);
+    assert.equal(pcm.readInt16LE(0), 2);
+    assert.equal(pcm.readInt16LE(50 * 48 - 2), 2);
+    assert.equal(pcm.readInt16LE(50 * 48), 3);
+    assert.equal(pcm.readInt16LE(pcm.length - 2), 3);
+
+    // Past the end: what there is
+    assert.equal(sliceAudio(stream, 900, 2000).length, 100 * 48);
+    assert.equal(sliceAudio(stream, 1000, 2000), null);
+});
+
+test("pruneAudio keeps times and refuses windows it dropped", () => {
+    const stream = createAudioStream();
+    for (let i = 0; i < 10; i++) appendAudio(stream, pcmAudio, pcmChunk(i));
+
+    pruneAudio(stream, 500);
+    assert.equal(sliceAudio(stream, 400, 600), null);
+    assert.equal(sliceAudio(stream, 500, 600).readInt16LE(0), 5);
+
+    appendAudio(stream, pcmAudio, pcmChunk(10));
+    assert.equal(sliceAudio(stream, 1000, 1100).readInt16LE(0), 10);
+});
+
+test("sliceAudio cuts a WebM recording by time from its first frame", () => {
+    const stream = createAudioStream();
+    const recordingStartedAt = "2026-01-01T00:00:00.000Z";
+    appendAudio(stream, { recordingStartedAt }, fixture("mediarecorder-chunk-1.webm"));
+    appendAudio(stream, { recordingStartedAt }, fixture("mediarecorder-chunk-2.webm"));
+    assert.equal(stream.startedAt, Date.parse(recordingStartedAt));
+
+    assert.equal(stream.firstFrameMs, FIRST_TIMECODE);
+
+    const webm = sliceAudio(stream, 14 * BLOCK_MS, 16 * BLOCK_MS);
+    assert.equal(parseWebm(webm).blocks.length, 2);
+});
+
+test("a new WebM header starts a new stream", () => {
+    const stream = createAudioStream();
+    appendAudio(stream, { recordingStartedAt: "2026-01-01T00:00:00.000Z" }, fixture("mediarecorder.webm"));
+    appendAudio(stream, { recordingStartedAt: "2026-01-01T00:01:00.000Z" }, fixture("mediarecorder-chunk-1.webm"));
+
+    assert.equal(stream.webm.clusters.length, 2);
+    assert.equal(stream.startedAt, Date.parse("2026-01-01T00:01:00.000Z"));
+});
+
+test("WebM split into small chunks is indexed by Cluster and pruned whole Clusters at a time", () => {
+    const recording = fixture("mediarecorder.webm");
+    const stream = createAudioStream();
+    // 7-byte chunks cut through element headers and blocks
+    for (let i = 0; i < recording.length; i += 7) {
+        appendAudio(stream, { recordingStartedAt: "2026-01-01T00:00:00.000Z" }, recording.subarray(i, i + 7));
+    }
+
+    assert.equal(stream.firstFrameMs, FIRST_TIMECODE);
+    assert.deepEqual(stream.webm.clusters.map((cluster) => cluster.time - FIRST_TIMECODE), [0, 10 * BLOCK_MS, 20 * BLOCK_MS]);
+    assert.equal(parseWebm(sliceAudio(stream, 9 * BLOCK_MS, 11 * BLOCK_MS)).blocks.length, 2);
+
+    // Only the first Cluster (blocks 0 to 9) ends before block 15
+    pruneAudio(stream, 15 * BLOCK_MS);
+    assert.equal(stream.webm.clusters.length, 2);
+    assert.equal(sliceAudio(stream, 9 * BLOCK_MS, 11 * BLOCK_MS), null);
+    assert.equal(parseWebm(sliceAudio(stream, 10 * BLOCK_MS, 12 * BLOCK_MS)).blocks.length, 2);
+
+    // The last Cluster is kept
+    pruneAudio(stream, 100 * BLOCK_MS);
+    assert.equal(stream.webm.clusters.length, 1);
+    assert.equal(parseWebm(sliceAudio(stream, 25 * BLOCK_MS, 30 * BLOCK_MS)).blocks.length, 5);
+});
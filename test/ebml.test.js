@@ -0,0 +1,87 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "fs";
+import { ID, readVint, readId, readElements, encodeSize, element, uintElement, readUint } from "../src/ebml.js";
+
+const fixture = (name) => readFileSync(new URL(`./fixtures/${name}`, import.meta.url));
+
+test("readVint reads sizes of every length", () => {
+    assert.deepEqual(readVint(Buffer.from([0x81]), 0), { value: 1, length: 1 });
+    assert.deepEqual(readVint(Buffer.from([0x40, 0x02]), 0), { value: 2, length: 2 });
+    // Above 32 bits
+    assert.deepEqual(readVint(Buffer.from([0x01, 0x00, 0x00, 0x01, 0x00, 0x00, 0x00, 0x00]), 0), { value: 2 ** 32, length: 8 });
+    assert.deepEqual(readVint(Buffer.from([0x08, 0x12, 0x34, 0x56, 0x78, 0x9A]), 0), { value: 0x12345678, length: 5 });
+});
+
+test("readVint reports unknown sizes and cut-off VINTs", () => {
+    assert.deepEqual(readVint(Buffer.from([0xFF]), 0), { value: null, length: 1 });
+    assert.deepEqual(readVint(Buffer.from([0x01, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF]), 0), { value: null, length: 8 });
+    assert.equal(readVint(Buffer.from([0x40]), 0), null);
+    assert.equal(readVint(Buffer.from([0x00]), 0), null);
+});
+
+test("readId keeps the length marker", () => {
+    assert.deepEqual(readId(Buffer.from([0x1F, 0x43, 0xB6, 0x75]), 0), { id: ID.Cluster, length: 4 });
+    assert.deepEqual(readId(Buffer.from([0xA3]), 0), { id: ID.SimpleBlock, length: 1 });
+});
+
+test("encodeSize round-trips and avoids the reserved unknown size", () => {
+    for (const size of [0, 1, 126, 127, 128, 16382, 16383, 2 ** 21, 2 ** 40]) {
+        const bytes = encodeSize(size);
+        assert.deepEqual(readVint(bytes, 0), { value: size, length: bytes.length }, `size ${size}`);
+    }
+    assert.equal(encodeSize(127).length, 2);
+    assert.equal(encodeSize(5, 8).length, 8);
+});
+
+test("element and uintElement write readable elements", () => {
+    const el = element(ID.Cluster, [uintElement(ID.Timecode, 300)]);
+    const elements = Array.from(readElements(el));
+    assert.deepEqual(elements.map((e) => e.name), ["Cluster", "Timecode"]);
+    assert.equal(readUint(el.subarray(elements[1].dataOffset, elements[1].end)), 300);
+});
+
+test("readElements walks unknown-size Segments and Clusters", () => {
+    const elements = Array.from(readElements(fixture("mediarecorder.webm")));
+    const segment = elements.find((e) => e.name === "Segment");
+    assert.equal(segment.size, null);
+    assert.equal(segment.depth, 0);
+
+    // An unknown-size Cluster ends where the next one begins
+    const clusters = elements.filter((e) => e.name === "Cluster");
+    assert.equal(clusters.length, 3);
+    assert.ok(clusters.every((cluster) => cluster.depth === 1 && cluster.parent === "Segment"));
+
+    const blocks = elements.filter((e) => e.name === "SimpleBlock");
+    assert.equal(blocks.length, 30);
+    assert.ok(blocks.every((block) => block.depth === 2 && block.parent === "Cluster"));
+    assert.equal(elements.filter((e) => e.name === "Timecode").length, 3);
+});
+
+test("readElements doesn't mistake block payloads for elements", () => {
+    const webm = fixture("mediarecorder.webm");
+    // The fixture's payloads contain Cluster IDs...
+    assert.ok(webm.indexOf(Buffer.from([0x1F, 0x43, 0xB6, 0x75, 0x01, 0xFF])) > webm.indexOf(Buffer.from([0xA3])));
+    // ...but only the real Clusters are read
+    const clusters = Array.from(readElements(webm)).filter((e) => e.name === "Cluster");
+    for (const cluster of clusters) {
+        assert.equal(webm[cluster.dataOffset], 0xE7);
+    }
+});
+
+test("readElements reads blocks of a chunk that starts mid-Cluster", () => {
+    const elements = Array.from(readElements(fixture("mediarecorder-chunk-2.webm")));
+    assert.equal(elements[0].name, "SimpleBlock");
+    assert.equal(elements[0].parent, null);
+    assert.equal(elements.filter((e) => e.name === "Cluster").length, 1);
+});
+
+test("readElements skips unknown elements and stops at cut-off ones", () => {
+    const unknown = Buffer.from([0x4F, 0xFF, 0x82, 0x00, 0x00]); // 2-byte ID not in the schema
+    const doc = Buffer.concat([element(ID.Cluster, [unknown, uintElement(ID.Timecode, 7)])]);
+    const names = Array.from(readElements(doc)).map((e) => e.name);
+    assert.deepEqual(names, ["Cluster", null, "Timecode"]);
+
+    const cut = doc.subarray(0, doc.length - 1);
+    assert.deepEqual(Array.from(readElements(cut)).map((e) => e.name), ["Cluster", null]);
+});
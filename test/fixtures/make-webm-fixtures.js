@@ -0,0 +1,118 @@
+/**
+ * Generates the WebM fixtures with the layout Chrome's MediaRecorder
+ * produces for `audio/webm;codecs=opus`: an unknown-size Segment, Info,
+ * Tracks and unknown-size Clusters of 20ms SimpleBlocks, with the recording
+ * starting well after timecode 0.
+ *
+ * - mediarecorder.webm: the whole recording
+ * - mediarecorder-chunk-1.webm / -chunk-2.webm: the same recording cut in
+ *   two the way `ondataavailable` chunks are, the second starting in the
+ *   middle of a Cluster
+ *
+ * Some Opus payloads contain the bytes of a Cluster ID and a Timecode
+ * element, which byte scanners mistake for real elements.
+ *
+ * Run: node test/fixtures/make-webm-fixtures.js
+ */
+
+import { writeFileSync } from "fs";
+import { fileURLToPath } from "url";
+import { dirname, join } from "path";
+
+const dir = dirname(fileURLToPath(import.meta.url));
+
+export const FIRST_TIMECODE = 12000;
+export const BLOCK_MS = 20;
+export const CLUSTERS = [10, 10, 10]; // blocks per cluster
+export const CHUNK_SPLIT = 15;       // chunk 2 starts with this block
+
+// Written out by hand rather than with src/ebml.js, so the tests don't
+// check the writer against itself
+const UNKNOWN_SIZE = Buffer.from([0x01, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF]);
+
+function size(n) {
+    if (n < 0x7F) return Buffer.from([0x80 | n]);
+    if (n < 0x3FFF) return Buffer.from([0x40 | (n >> 8), n & 0xFF]);
+    return Buffer.from([0x20 | (n >> 16), (n >> 8) & 0xFF, n & 0xFF]);
+}
+
+function el(id, ...children) {
+    const body = Buffer.concat(children.map((child) => (Buffer.isBuffer(child) ? child : Buffer.from(child))));
+    return Buffer.concat([Buffer.from(id, "hex"), size(body.length), body]);
+}
+
+const uint = (n, bytes = 1) => Buffer.from(n.toString(16).padStart(bytes * 2, "0"), "hex");
+
+function float(n) {
+    const b = Buffer.alloc(4);
+    b.writeFloatBE(n);
+    return b;
+}
+
+export function opusPacket(i) {
+    // TOC 0xF8: CELT fullband, 20ms, one frame
+    const payload = Buffer.alloc(40, i & 0xFF);
+    if (i % 7 === 3) {
+        // A fake Cluster ID followed by a fake Timecode
+        Buffer.from([0x1F, 0x43, 0xB6, 0x75, 0x01, 0xFF, 0xE7, 0x81, 0x05]).copy(payload, 10);
+    }
+    return Buffer.concat([Buffer.from([0xF8]), payload]);
+}
+
+function simpleBlock(i, relative) {
+    const header = Buffer.alloc(4);
+    header[0] = 0x81; // track 1
+    header.writeInt16BE(relative, 1);
+    header[3] = 0x80; // keyframe
+    return el("a3", header, opusPacket(i));
+}
+
+export function opusHead() {
+    const head = Buffer.alloc(19);
+    head.write("OpusHead");
+    head[8] = 1;
+    head[9] = 1;
+    head.writeUInt16LE(312, 10);
+    head.writeUInt32LE(48000, 12);
+    return head;
+}
+
+function build() {
+    const header = el("1a45dfa3",
+        el("4286", uint(1)), el("42f7", uint(1)), el("42f2", uint(4)), el("42f3", uint(8)),
+        el("4282", "webm"), el("4287", uint(4)), el("4285", uint(2)));
+    const info = el("1549a966", el("2ad7b1", uint(1000000, 3)), el("4d80", "Chrome"), el("5741", "Chrome"));
+    const tracks = el("1654ae6b", el("ae",
+        el("d7", uint(1)), el("73c5", uint(0x1234, 2)), el("83", uint(2)), el("86", "A_OPUS"),
+        el("63a2", opusHead()), el("e1", el("b5", float(48000)), el("9f", uint(1)))));
+
+    const init = Buffer.concat([header, Buffer.from("18538067", "hex"), UNKNOWN_SIZE, info, tracks]);
+    const blocks = [];  // [offset in clusters, buffer]
+    const clusterParts = [];
+    let i = 0;
+    let time = FIRST_TIMECODE;
+    for (const count of CLUSTERS) {
+        clusterParts.push(Buffer.concat([Buffer.from("1f43b675", "hex"), UNKNOWN_SIZE, el("e7", uint(time, 2))]));
+        for (let j = 0; j < count; j++, i++) {
+            const block = simpleBlock(i, j * BLOCK_MS);
+            blocks.push([clusterParts.length, block]);
+            clusterParts.push(block);
+        }
+        time += count * BLOCK_MS;
+    }
+
+    // Chunk 2 starts at block CHUNK_SPLIT, in the middle of the second Cluster
+    const splitPart = blocks[CHUNK_SPLIT][0];
+    return {
+        full: Buffer.concat([init, ...clusterParts]),
+        chunk1: Buffer.concat([init, ...clusterParts.slice(0, splitPart)]),
+        chunk2: Buffer.concat(clusterParts.slice(splitPart)),
+    };
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const { full, chunk1, chunk2 } = build();
+    writeFileSync(join(dir, "mediarecorder.webm"), full);
+    writeFileSync(join(dir, "mediarecorder-chunk-1.webm"), chunk1);
+    writeFileSync(join(dir, "mediarecorder-chunk-2.webm"), chunk2);
+}
@@ -0,0 +1,65 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createLangSmithExporter } from "../src/exporters/langsmith.js";
+import { createTurnState, applyEvent, summarizeUsage } from "../src/turns.js";
+import { createConfigHistory } from "../src/session-config.js";
+
+// Records the runs a RunTree sends instead of posting them
+function fakeClient() {
+    const runs = new Map();
+    return {
+        runs,
+        async createRun(run) {
+            runs.set(run.id, { ...run });
+        },
+        async updateRun(id, update) {
+            runs.set(id, { ...runs.get(id), ...update });
+        },
+        async createFeedback() {},
+    };
+}
+
+test("turn and session outputs are sent at the top level, with usage_metadata", async () => {
+    const client = fakeClient();
+    const exporter = createLangSmithExporter({ client });
+
+    const turnState = createTurnState({ transport: "websocket" });
+    applyEvent(turnState, { type: "response.output_audio_transcript.done", response_id: "resp_1", transcript: "Hi there" });
+    const [turn] = applyEvent(turnState, {
+        type: "response.done",
+        response: {
+            id: "resp_1",
+            status: "completed",
+            usage: { input_tokens: 100, output_tokens: 50, total_tokens: 150, input_token_details: { audio_tokens: 80, cached_tokens: 20 } },
+        },
+    });
+    const session = { id: "ls-session", startedAt: new Date().toISOString(), transport: "websocket", turnState, config: createConfigHistory() };
+
+    const { langsmithRunId } = await exporter.startSession(session);
+    await exporter.exportTurn(session, turn, { audio: null, cost: { input: 0.1, output: 0.2, total: 0.3 } });
+    await exporter.endSession(session, {
+        summary: { id: session.id, duration: 1000, eventCount: 2, transcript: { output: "Hi there" } },
+        latency: {},
+        usage: summarizeUsage(turnState),
+        config: null,
+    });
+
+    const child = Array.from(client.runs.values()).find((run) => run.parent_run_id === langsmithRunId);
+    assert.equal(child.outputs.transcript, "Hi there");
+    assert.equal(child.outputs.outputs, undefined);
+    assert.deepEqual(child.outputs.usage_metadata, {
+        input_tokens: 100,
+        output_tokens: 50,
+        total_tokens: 150,
+        input_token_details: { audio: 80, cache_read: 20 },
+        output_token_details: { audio: 0 },
+        input_cost: 0.1,
+        output_cost: 0.2,
+        total_cost: 0.3,
+    });
+
+    const parent = client.runs.get(langsmithRunId);
+    assert.equal(parent.outputs.session_id, "ls-session");
+    assert.equal(parent.outputs.usage.totalTokens, 150);
+    assert.equal(parent.outputs.outputs, undefined);
+});
@@ -0,0 +1,137 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createServer } from "http";
+import { mkdtempSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import WebSocket from "ws";
+import { createMockSession, attachMockRealtime, synthesizeSpeech, answerMockOffer } from "../src/mock-realtime.js";
+import { createFileStorage } from "../src/storage.js";
+import { enable, disable, observeWebSocket } from "../src/node.js";
+
+const script = [{ user: "Hello there", assistant: "Hi, how are you?" }];
+
+// Collect a mock session's events until `done(events)` is true
+function runSession(options, done) {
+    return new Promise((resolve) => {
+        const events = [];
+        const session = createMockSession({
+            speed: 50,
+            ...options,
+            send: (event) => {
+                events.push(event);
+                if (done(events, session)) {
+                    session.close();
+                    resolve(events);
+                }
+            },
+        });
+    });
+}
+
+test("a scripted turn plays as the API's events, with synthetic audio", async () => {
+    const events = await runSession({ script }, (events) => events.at(-1).type === "response.done");
+    const types = events.map((event) => event.type);
+
+    assert.equal(types[0], "session.created");
+    assert.deepEqual(types.slice(1, 6), [
+        "input_audio_buffer.speech_started",
+        "input_audio_buffer.speech_stopped",
+        "input_audio_buffer.committed",
+        "conversation.item.added",
+        "conversation.item.input_audio_transcription.completed",
+    ]);
+    assert.equal(events[5].transcript, "Hello there");
+    assert.ok(events[2].audio_end_ms > events[1].audio_start_ms);
+
+    const transcript = events.filter((event) => event.type === "response.output_audio_transcript.delta")
+        .map((event) => event.delta).join("");
+    assert.equal(transcript, "Hi, how are you?");
+
+    const audioBytes = events.filter((event) => event.type === "response.output_audio.delta")
+        .reduce((total, event) => total + Buffer.from(event.delta, "base64").length, 0);
+    assert.equal(audioBytes, synthesizeSpeech("Hi, how are you?").byteLength);
+
+    const done = events.at(-1).response;
+    assert.equal(done.status, "completed");
+    assert.equal(done.output[0].content[0].transcript, "Hi, how are you?");
+    assert.ok(done.usage.total_tokens > 0);
+});
+
+test("the mock answers session.update, response.create and response.cancel", async () => {
+    const events = await runSession({ script: [{ assistant: "One two three four five six" }] }, (events, session) => {
+        const last = events.at(-1);
+        if (last.type === "session.created") {
+            session.receive({ type: "session.update", session: { instructions: "Be brief" } });
+            session.receive({ type: "response.create" });
+            session.receive({ type: "response.create" });
+        }
+        if (last.type === "response.output_audio_transcript.delta") session.receive({ type: "response.cancel" });
+        return last.type === "response.done";
+    });
+
+    assert.equal(events.find((event) => event.type === "session.updated").session.instructions, "Be brief");
+    assert.equal(events.find((event) => event.type === "error").error.code, "conversation_already_has_active_response");
+
+    const done = events.at(-1).response;
+    assert.equal(done.status, "cancelled");
+    assert.equal(done.output[0].content[0].transcript, "One");
+});
+
+test("WebRTC sessions explain what's missing without a Node WebRTC stack", async (t) => {
+    try {
+        await import("@roamhq/wrtc");
+        t.skip("a Node WebRTC stack is installed");
+        return;
+    } catch {
+        await assert.rejects(answerMockOffer("v=0\r\n"), /Node WebRTC stack/);
+    }
+});
+
+test("a mock WebSocket session is recorded end to end by the Node SDK", { timeout: 20000 }, async () => {
+    const dir = mkdtempSync(join(tmpdir(), "mock-realtime-test-"));
+    const storage = createFileStorage(dir);
+    const server = createServer();
+    attachMockRealtime(server, { script, speed: 10 });
+    await new Promise((resolve) => server.listen(0, resolve));
+
+    try {
+        const { fetch, WebSocket: GlobalWebSocket } = globalThis;
+        enable({ storage, exporters: [], audioFormats: ["wav"] });
+        // The backend's own requests aren't observed
+        assert.equal(globalThis.fetch, fetch);
+        assert.equal(globalThis.WebSocket, GlobalWebSocket);
+
+        const ws = observeWebSocket(new WebSocket(`ws://localhost:${server.address().port}/v1/realtime`));
+        await new Promise((resolve, reject) => {
+            ws.on("message", (data) => {
+                if (JSON.parse(data).type === "response.done") resolve();
+            });
+            ws.on("error", reject);
+        });
+        ws.close();
+
+        // The session is written once the SDK has ended it
+        let sessionKey;
+        while (!sessionKey) {
+            await new Promise((resolve) => setTimeout(resolve, 50));
+            sessionKey = (await storage.list()).find((key) => key.endsWith("/session.json"));
+        }
+        const keys = await storage.list();
+        const session = JSON.parse(await storage.read(sessionKey));
+        assert.equal(session.transport, "websocket");
+        assert.ok(session.events.some((event) => event.type === "response.done"));
+
+        const outputDir = keys.find((key) => /turn-\d+-output\/meta\.json$/.test(key)).replace("meta.json", "");
+        assert.equal((await storage.read(`${outputDir}transcript.txt`)).toString(), "Hi, how are you?");
+        const wav = await storage.read(`${outputDir}audio.wav`);
+        assert.equal(wav.length - 44, synthesizeSpeech("Hi, how are you?").byteLength);
+
+        const inputDir = keys.find((key) => /turn-\d+-input\/meta\.json$/.test(key)).replace("meta.json", "");
+        assert.equal((await storage.read(`${inputDir}transcript.txt`)).toString(), "Hello there");
+    } finally {
+        await disable();
+        await new Promise((resolve) => server.close(resolve));
+        rmSync(dir, { recursive: true, force: true });
+    }
+});
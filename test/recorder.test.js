@@ -0,0 +1,292 @@
+import { test, before, after } from "node:test";
+import { EventEmitter } from "events";
+import assert from "node:assert/strict";
+import { mkdtempSync, readFileSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { configureRecorder, handlePayload, handleSocket, subscribe } from "../src/recorder.js";
+import { createFileStorage } from "../src/storage.js";
+import { parseWebm } from "../src/webm.js";
+import { BLOCK_MS } from "./fixtures/make-webm-fixtures.js";
+
+const fixture = (name) => readFileSync(new URL(`./fixtures/${name}`, import.meta.url));
+
+const T0 = Date.UTC(2026, 0, 1, 12, 0, 0);
+const at = (ms) => new Date(T0 + ms).toISOString();
+
+let dir;
+let storage;
+
+before(() => {
+    dir = mkdtempSync(join(tmpdir(), "recorder-test-"));
+    storage = createFileStorage(dir);
+    // Writes for "rec-broken-*" sessions fail, like a full disk
+    const recorderStorage = {
+        ...storage,
+        write: (key, data) => (key.startsWith("rec-broken-") ? Promise.reject(new Error("No space left")) : storage.write(key, data)),
+    };
+    configureRecorder({ storage: recorderStorage, exporters: [], audioFormats: ["wav", "ogg"] });
+});
+
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+// Payloads as the SDK sends them
+const start = (sessionId, transport) => ({
+    type: "session_start",
+    sessionId,
+    session: { id: sessionId, startedAt: at(0), transport },
+});
+const event = (sessionId, ms, fields) => ({
+    type: "event",
+    sessionId,
+    event: { direction: "incoming", sessionId, timestamp: at(ms), ...fields },
+});
+const webmAudio = (sessionId, direction, ms, data) => ({
+    type: "audio",
+    sessionId,
+    audio: { direction, sessionId, size: data.length, timestamp: at(ms), recordingStartedAt: at(0), data },
+});
+const end = (sessionId) => ({
+    type: "session_end",
+    sessionId,
+    session: { id: sessionId, endedAt: at(5000), duration: 5000, eventCount: 0, transcript: { input: "", output: "Hello" } },
+});
+
+// Collects the meta.json of each turn saved (`turn_end` notifications)
+function savedTurns() {
+    const turns = [];
+    const unsubscribe = subscribe((type, data) => {
+        if (type === "turn_end") turns.push(data.turn);
+    });
+    return { turns, unsubscribe };
+}
+
+// Turns are saved in the background
+const settle = () => new Promise((resolve) => setTimeout(resolve, 50));
+
+async function readJson(key) {
+    return JSON.parse(await storage.read(key));
+}
+
+// ============================================================
+// TESTS
+// ============================================================
+
+test("payloads are rejected without a session, or for an unknown or invalid one", async () => {
+    assert.equal((await handlePayload({ type: "event", event: { type: "session.created" } })).status, 400);
+    assert.equal((await handlePayload(event("no-such-session", 0, { type: "session.created" }))).status, 404);
+    assert.equal((await handlePayload(start("../escape", "webrtc"))).status, 400);
+
+    // Malformed payloads are rejected rather than thrown on
+    for (const payload of [null, "session_start", [], { type: "session_start", sessionId: "abc" }, { type: "session_start", session: { id: 42 } }]) {
+        assert.equal((await handlePayload(payload)).status, 400, JSON.stringify(payload));
+    }
+    await handlePayload(start("rec-malformed", "webrtc"));
+    for (const type of ["event", "audio", "session_end"]) {
+        assert.equal((await handlePayload({ type, sessionId: "rec-malformed" })).status, 400, type);
+    }
+    // Directions are keys: "__proto__" would reach Object.prototype
+    for (const direction of ["__proto__", "constructor", undefined]) {
+        const payload = webmAudio("rec-malformed", direction, 10, fixture("mediarecorder-chunk-1.webm"));
+        assert.equal((await handlePayload(payload)).status, 400, String(direction));
+    }
+    assert.equal({}.format, undefined);
+    // Fields of the wrong type
+    const malformed = [
+        webmAudio("rec-malformed", "input", 10, 42),
+        event("rec-malformed", 10, { type: "conversation.item.added", item: { id: "item_1", role: "user", content: "Hello" } }),
+        event("rec-malformed", 10, { type: "conversation.item.added", item: { id: "item_1", role: "user", content: [null] } }),
+        event("rec-malformed", 10, { type: "response.done", response: { id: "resp_1", output: {} } }),
+        event("rec-malformed", 10, { type: "rate_limits.updated", rate_limits: 5 }),
+        event("rec-malformed", 10, { type: "conversation.item.input_audio_transcription.completed", item_id: "item_1", transcript: 5 }),
+    ];
+    for (const payload of malformed) {
+        const { status, error } = await handlePayload(payload);
+        assert.equal(status, 400, JSON.stringify(payload));
+        assert.match(error, /^Invalid (audio|event)\./);
+    }
+    await handlePayload(end("rec-malformed"));
+
+    assert.equal((await handlePayload(start("rec-duplicate", "webrtc"))).status, 200);
+    // Redelivered after a retry
+    assert.equal((await handlePayload(start("rec-duplicate", "webrtc"))).status, 200);
+    await handlePayload(end("rec-duplicate"));
+    assert.equal((await handlePayload(event("rec-duplicate", 10, { type: "session.created" }))).status, 404);
+});
+
+test("a WebRTC session is assembled from events and late WebM chunks", async () => {
+    const id = "rec-webrtc";
+    const { turns, unsubscribe } = savedTurns();
+    const chunk1 = fixture("mediarecorder-chunk-1.webm");
+    const chunk2 = fixture("mediarecorder-chunk-2.webm");
+
+    await handlePayload(start(id, "webrtc"));
+    await handlePayload(event(id, 10, { type: "session.created", session: { model: "gpt-realtime" } }));
+
+    // The user speaks from 100ms to 300ms into the recording
+    await handlePayload(event(id, 100, { type: "input_audio_buffer.speech_started", item_id: "item_1", audio_start_ms: 100 }));
+    await handlePayload(event(id, 300, { type: "input_audio_buffer.speech_stopped", item_id: "item_1", audio_end_ms: 300 }));
+    await handlePayload(event(id, 310, { type: "input_audio_buffer.committed", item_id: "item_1" }));
+
+    // The answer plays from 320ms to 500ms
+    await handlePayload(event(id, 315, { type: "response.created", response: { id: "resp_1", status: "in_progress" } }));
+    await handlePayload(event(id, 320, { type: "output_audio_buffer.started", response_id: "resp_1" }));
+    await handlePayload(event(id, 330, { type: "response.output_audio_transcript.delta", response_id: "resp_1", delta: "Hello" }));
+    await handlePayload(event(id, 400, { type: "response.done", response: { id: "resp_1", status: "completed" } }));
+    await handlePayload(event(id, 500, { type: "output_audio_buffer.stopped", response_id: "resp_1" }));
+
+    // Recorder chunks lag behind the events: neither turn is complete until
+    // a chunk recorded after its end has arrived
+    await handlePayload(webmAudio(id, "input", 200, chunk1));
+    await handlePayload(webmAudio(id, "output", 200, chunk1));
+    await settle();
+    assert.deepEqual(turns, []);
+
+    await handlePayload(webmAudio(id, "input", 1200, chunk2));
+    await handlePayload(webmAudio(id, "output", 1200, chunk2));
+    await handlePayload(end(id));
+    unsubscribe();
+
+    assert.deepEqual(turns.map((turn) => [turn.id, turn.type]), [[1, "input"], [2, "output"]]);
+    const [input, output] = turns;
+    assert.equal(input.itemId, "item_1");
+    assert.equal(output.responseId, "resp_1");
+    assert.equal(output.transcript, "Hello");
+    assert.ok(input.audioFormats.includes("webm") && input.audioFormats.includes("ogg"));
+
+    // Each turn's audio is its window of the continuous recording
+    const blockTimes = async (key) => parseWebm(await storage.read(key)).blocks.map((block) => block.time);
+    const inputTimes = await blockTimes(`${id}/turn-01-input/audio.webm`);
+    assert.equal(inputTimes.length, 200 / BLOCK_MS);
+    assert.equal(inputTimes[0], 0);
+    assert.equal((await blockTimes(`${id}/turn-02-output/audio.webm`)).length, 180 / BLOCK_MS);
+
+    const session = await readJson(`${id}/session.json`);
+    assert.equal(session.transport, "webrtc");
+    assert.equal(session.events.length, 9);
+    assert.equal(session.config.model, "gpt-realtime");
+    assert.equal((await readJson(`${id}/turn-02-output/meta.json`)).responseId, "resp_1");
+});
+
+test("without any recorded audio, a WebRTC turn waits two timeslices for it", async () => {
+    const id = "rec-no-audio";
+    const { turns, unsubscribe } = savedTurns();
+
+    await handlePayload(start(id, "webrtc"));
+    await handlePayload(event(id, 100, { type: "input_audio_buffer.speech_started", item_id: "item_1", audio_start_ms: 100 }));
+    await handlePayload(event(id, 300, { type: "input_audio_buffer.speech_stopped", item_id: "item_1", audio_end_ms: 300 }));
+    await handlePayload(event(id, 310, { type: "input_audio_buffer.committed", item_id: "item_1" }));
+    await handlePayload(event(id, 1500, { type: "rate_limits.updated", rate_limits: [] }));
+    await settle();
+    assert.deepEqual(turns, []);
+
+    // No recorder for this direction, it seems
+    await handlePayload(event(id, 2400, { type: "rate_limits.updated", rate_limits: [] }));
+    await settle();
+    assert.deepEqual(turns.map((turn) => [turn.type, turn.audioFormats]), [["input", []]]);
+    await handlePayload(end(id));
+    unsubscribe();
+});
+
+test("a WebSocket session cuts PCM16 input turns by audio_start_ms/audio_end_ms", async () => {
+    const id = "rec-websocket";
+    const { turns, unsubscribe } = savedTurns();
+
+    await handlePayload(start(id, "websocket"));
+    // One second of input in 100ms chunks, each chunk's samples set to its index
+    for (let i = 0; i < 10; i++) {
+        const data = Buffer.from(new Int16Array(2400).fill(i).buffer);
+        await handlePayload({
+            type: "audio",
+            sessionId: id,
+            audio: { direction: "input", sessionId: id, format: "pcm16", sampleRate: 24000, size: data.length, timestamp: at(i * 100), data },
+        });
+    }
+    await handlePayload(event(id, 250, { type: "input_audio_buffer.speech_started", item_id: "item_1", audio_start_ms: 250 }));
+    await handlePayload(event(id, 700, { type: "input_audio_buffer.speech_stopped", item_id: "item_1", audio_end_ms: 700 }));
+    await handlePayload(event(id, 710, { type: "input_audio_buffer.committed", item_id: "item_1" }));
+    await handlePayload(end(id));
+    unsubscribe();
+
+    assert.deepEqual(turns.map((turn) => turn.type), ["input"]);
+    const wav = await storage.read(`${id}/turn-01-input/audio.wav`);
+    const pcm = wav.subarray(44);
+    assert.equal(pcm.length, 450 * 48);
+    assert.equal(pcm.readInt16LE(0), 2);
+    assert.equal(pcm.readInt16LE(pcm.length - 2), 6);
+});
+
+test("events from the app's own data channels don't make turns", async () => {
+    const id = "rec-app-channel";
+    const { turns, unsubscribe } = savedTurns();
+
+    await handlePayload(start(id, "websocket"));
+    const relayed = { type: "response.done", response: { id: "resp_1", status: "completed" } };
+    await handlePayload(event(id, 10, { type: "response.created", response: { id: "resp_1" }, channel: "app-relay" }));
+    await handlePayload(event(id, 20, { ...relayed, channel: "app-relay" }));
+    await handlePayload(end(id));
+    unsubscribe();
+
+    assert.deepEqual(turns, []);
+    assert.equal((await readJson(`${id}/session.json`)).events.length, 2);
+});
+
+test("redelivered payloads are only handled once", async () => {
+    const id = "rec-redelivered";
+    await handlePayload({ ...start(id, "websocket"), payloadId: "page_0" });
+    const created = { ...event(id, 10, { type: "session.created" }), payloadId: "page_1" };
+    assert.equal((await handlePayload(created)).status, 200);
+    assert.equal((await handlePayload(created)).status, 200);
+    await handlePayload({ ...event(id, 20, { type: "session.updated" }), payloadId: "other-page_1" });
+    await handlePayload(end(id));
+
+    const session = await readJson(`${id}/session.json`);
+    assert.deepEqual(session.events.map((event) => event.type), ["session.created", "session.updated"]);
+});
+
+test("a WebSocket client keeps getting acks after a payload fails", async () => {
+    const ws = Object.assign(new EventEmitter(), { OPEN: 1, readyState: 1, acks: [] });
+    ws.send = (data) => ws.acks.push(JSON.parse(data));
+    handleSocket(ws);
+
+    const frame = (payload) => ws.emit("message", Buffer.from(JSON.stringify(payload)), false);
+    ws.emit("message", Buffer.from("null"), false);
+    frame({ type: "session_start", sessionId: "abc", seq: 1 });
+    frame({ ...start("rec-broken-storage", "webrtc"), seq: 2 });
+    frame({ ...start("rec-socket", "webrtc"), seq: 3 });
+    frame({ ...end("rec-socket"), seq: 4 });
+    await settle();
+
+    assert.deepEqual(ws.acks.map((ack) => [ack.seq, ack.ok, ack.status]), [
+        [undefined, false, 400],
+        [1, false, 400],
+        [2, false, 500],
+        [3, true, undefined],
+        [4, true, undefined],
+    ]);
+});
+
+test("an undecodable WebSocket frame is acked by its seq, or the connection is closed", async () => {
+    const ws = Object.assign(new EventEmitter(), { OPEN: 1, readyState: 1, acks: [], closed: null });
+    ws.send = (data) => ws.acks.push(JSON.parse(data));
+    ws.close = (code) => {
+        ws.closed = code;
+    };
+    handleSocket(ws);
+
+    // Cut-off JSON, and a binary frame whose header runs past its end
+    ws.emit("message", Buffer.from('{"type":"event","seq":7,"event":{'), false);
+    const header = Buffer.from('{"type":"audio","seq":8,"audio":');
+    const binary = Buffer.alloc(4 + header.length);
+    binary.writeUInt32BE(header.length, 0);
+    header.copy(binary, 4);
+    ws.emit("message", binary, true);
+    await settle();
+    assert.deepEqual(ws.acks.map((ack) => [ack.seq, ack.ok, ack.status]), [[7, false, 400], [8, false, 400]]);
+    assert.equal(ws.closed, null);
+
+    ws.emit("message", Buffer.from([0x01, 0x02]), true);
+    await settle();
+    assert.equal(ws.acks.length, 2);
+    assert.equal(ws.closed, 1008);
+});
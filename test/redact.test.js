@@ -0,0 +1,92 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createRedactor } from "../src/redact.js";
+
+const redactor = createRedactor(true);
+
+test("createRedactor is off without options", () => {
+    assert.equal(createRedactor(undefined), null);
+    assert.equal(createRedactor(false), null);
+    assert.throws(() => createRedactor({ detectors: ["ssn"] }), /Unknown PII detector: ssn/);
+});
+
+test("built-in detectors find emails, phone numbers and card numbers", () => {
+    assert.deepEqual(redactor.redactText("write to jane.doe+work@mail.example.co.uk today"), {
+        text: "write to [REDACTED_EMAIL] today",
+        found: ["email"],
+    });
+    for (const phone of ["(415) 555-0132", "+44 20 7946 0958", "415.555.0132", "4155550132"]) {
+        assert.equal(redactor.redactText(`call ${phone} now`).text, "call [REDACTED_PHONE] now", phone);
+    }
+    assert.equal(redactor.redactText("card 4111 1111 1111 1111").text, "card [REDACTED_CARD]");
+    assert.equal(redactor.redactText("card 5500-0055-5555-5559").text, "card [REDACTED_CARD]");
+});
+
+test("built-in detectors leave dates, amounts and IDs alone", () => {
+    for (const text of [
+        "2026-01-01T00:00:00.000Z",
+        "at 12:30 on 01/02/2026",
+        "$1,000,000 and 1234567 users",
+        "item_C8x1234567890 event_1234567890123",
+        "order 4111-1111-1111-1112",    // fails the Luhn check
+    ]) {
+        assert.deepEqual(redactor.redactText(text), { text, found: [] });
+    }
+});
+
+test("custom rules add patterns with their own replacement", () => {
+    const custom = createRedactor({
+        detectors: ["email"],
+        rules: [
+            { name: "ssn", pattern: "\\b\\d{3}-\\d{2}-\\d{4}\\b" },
+            { pattern: /secret/i, replacement: "***" },
+        ],
+    });
+    assert.deepEqual(custom.redactText("SSN 123-45-6789, Secret and secret, a@b.io, 4155550132"), {
+        text: "SSN [REDACTED_SSN], *** and ***, [REDACTED_EMAIL], 4155550132",
+        found: ["email", "ssn", "rule2"],
+    });
+});
+
+test("redactEvent redacts content, keeps IDs and marks the event", () => {
+    const event = {
+        type: "conversation.item.input_audio_transcription.completed",
+        event_id: "event_4155550132",
+        item_id: "item_1",
+        transcript: "I'm at 415 555 0132",
+        timestamp: "2026-01-01T00:00:00.000Z",
+    };
+    const redacted = redactor.redactEvent(event);
+    assert.equal(redacted.transcript, "I'm at [REDACTED_PHONE]");
+    assert.equal(redacted.event_id, "event_4155550132");
+    assert.deepEqual(redacted.redacted, ["phone"]);
+    assert.equal(event.transcript, "I'm at 415 555 0132");
+
+    const clean = { type: "response.created", response: { id: "resp_1" } };
+    assert.equal(redactor.redactEvent(clean), clean);
+});
+
+test("redactEvent reaches nested content", () => {
+    const event = {
+        type: "conversation.item.create",
+        item: { type: "function_call_output", call_id: "call_1", output: "{\"email\":\"jane@example.com\"}" },
+    };
+    const redacted = redactor.redactEvent(event);
+    assert.equal(redacted.item.output, "{\"email\":\"[REDACTED_EMAIL]\"}");
+    assert.equal(redacted.item.call_id, "call_1");
+});
+
+test("redactDeltas finds personal data split across deltas", () => {
+    const delta = (text, responseId = "resp_1") => ({ type: "response.output_audio_transcript.delta", response_id: responseId, item_id: "item_2", delta: text });
+    const events = [
+        delta("Mail jane@exa"),
+        { type: "response.output_audio_transcript.done", response_id: "resp_1" },
+        delta("mple.com today"),
+        delta("Nothing here", "resp_2"),
+    ];
+    const result = redactor.redactDeltas(events);
+    assert.deepEqual(result.map((event) => event.delta), ["Mail [REDACTED_EMAIL] today", undefined, "", "Nothing here"]);
+    assert.deepEqual(result[2].redacted, ["email"]);
+    assert.equal(result[3], events[3]);
+    assert.equal(events[0].delta, "Mail jane@exa");
+});
@@ -0,0 +1,117 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import WebSocket from "ws";
+import { createFileStorage } from "../src/storage.js";
+import { pcmToWav } from "../src/transcode.js";
+import { buildTimeline, playTimeline } from "../src/replay-timeline.js";
+import { loadReplay, restoreAudioDeltas, createReplayServer } from "../src/replay.js";
+
+const at = (ms) => new Date(Date.UTC(2026, 0, 1, 12, 0, 0, ms)).toISOString();
+
+// A WebSocket session: one response with two 100ms audio deltas
+const events = [
+    { type: "session.update", direction: "outgoing", timestamp: at(0) },
+    { type: "session.created", direction: "incoming", sessionId: "s1", timestamp: at(50) },
+    { type: "response.created", direction: "incoming", timestamp: at(100), response: { id: "resp_1" } },
+    { type: "response.output_audio.delta", direction: "incoming", timestamp: at(150), response_id: "resp_1", audio_bytes: 4800 },
+    { type: "response.output_audio.delta", direction: "incoming", timestamp: at(250), response_id: "resp_1", audio_bytes: 4800 },
+    { type: "raw", direction: "incoming", timestamp: at(260), data: "not json" },
+    { type: "response.done", direction: "incoming", timestamp: at(300), redacted: ["email"], response: { id: "resp_1" } },
+];
+
+// 150ms of audio: the second delta runs out halfway
+const pcm = Buffer.concat([Buffer.from(new Int16Array(2400).fill(1).buffer), Buffer.from(new Int16Array(1200).fill(2).buffer)]);
+
+async function recordedStorage() {
+    const dir = mkdtempSync(join(tmpdir(), "replay-test-"));
+    const storage = createFileStorage(dir);
+    await storage.write("s1/session.json", JSON.stringify({ transport: "websocket", events }));
+    await storage.write("s1/turn-01-output/meta.json", JSON.stringify({ id: 1, type: "output", responseId: "resp_1", audioFormats: ["wav"] }));
+    await storage.write("s1/turn-01-output/audio.wav", pcmToWav(pcm));
+    return { storage, dir };
+}
+
+test("buildTimeline keeps server events, timed from the first one", () => {
+    const steps = buildTimeline(events);
+    assert.deepEqual(steps.map((step) => step.at), [0, 50, 100, 200, 250]);
+    assert.deepEqual(steps[0].event, { type: "session.created" });
+    assert.deepEqual(steps[4].event, { type: "response.done", response: { id: "resp_1" } });
+
+    // Binary messages and the app's own data channels aren't Realtime events
+    const more = [
+        { type: "app.state", direction: "incoming", channel: "app-state", timestamp: at(400) },
+        { type: "binary", direction: "incoming", channel: "oai-events", timestamp: at(400), size: 1, data: "AA==" },
+        { type: "response.created", direction: "incoming", channel: "oai-events", timestamp: at(500) },
+    ];
+    assert.deepEqual(buildTimeline([...events, ...more]).at(-1), { at: 450, event: { type: "response.created" } });
+    assert.equal(buildTimeline([...events, ...more]).length, 6);
+});
+
+test("playTimeline sends steps in order and stops", async () => {
+    const steps = [{ at: 0, event: 1 }, { at: 40, event: 2 }, { at: 80, event: 3 }];
+    const sent = [];
+    await new Promise((resolve) => playTimeline(steps, (event) => sent.push(event), { speed: 4, onEnd: resolve }));
+    assert.deepEqual(sent, [1, 2, 3]);
+
+    const stopped = [];
+    const player = playTimeline(steps, (event) => stopped.push(event));
+    player.stop();
+    await new Promise((resolve) => setTimeout(resolve, 60));
+    assert.deepEqual(stopped, [1]);
+});
+
+test("loadReplay finds each response's audio and restoreAudioDeltas puts it back", async () => {
+    const { storage, dir } = await recordedStorage();
+    try {
+        const replay = await loadReplay(storage, "s1");
+        assert.equal(replay.transport, "websocket");
+        assert.deepEqual(replay.audio, { resp_1: { wav: "s1/turn-01-output/audio.wav" } });
+
+        const steps = await restoreAudioDeltas(storage, replay);
+        const deltas = steps.filter((step) => step.event.type === "response.output_audio.delta")
+            .map((step) => Buffer.from(step.event.delta, "base64"));
+        assert.equal(deltas.length, 2);
+        assert.ok(steps.every((step) => !("audio_bytes" in step.event)));
+        assert.equal(deltas[0].length, 4800);
+        assert.equal(deltas[0].readInt16LE(4798), 1);
+        // Past the end of the saved audio: silence
+        assert.equal(deltas[1].readInt16LE(0), 2);
+        assert.equal(deltas[1].readInt16LE(2400), 0);
+
+        await assert.rejects(loadReplay(storage, "missing"), /Session not found/);
+    } finally {
+        rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test("the replay server plays the session over a WebSocket", { timeout: 10000 }, async () => {
+    const { storage, dir } = await recordedStorage();
+    const server = await createReplayServer({ storage, sessionId: "s1", speed: 10 });
+    try {
+        await new Promise((resolve) => server.listen(0, resolve));
+        const ws = new WebSocket(`ws://localhost:${server.address().port}/v1/realtime`);
+        const received = await new Promise((resolve, reject) => {
+            const types = [];
+            ws.on("open", () => ws.send(JSON.stringify({ type: "response.create" })));
+            ws.on("message", (data) => {
+                types.push(JSON.parse(data).type);
+                if (types.length === 5) resolve(types);
+            });
+            ws.on("error", reject);
+        });
+        ws.close();
+        assert.deepEqual(received, [
+            "session.created",
+            "response.created",
+            "response.output_audio.delta",
+            "response.output_audio.delta",
+            "response.done",
+        ]);
+    } finally {
+        await new Promise((resolve) => server.close(resolve));
+        rmSync(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,444 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { enable, disable, recordInput } from "../src/index.js";
+
+const OFFER = "v=0\r\no=- 1 2 IN IP4 127.0.0.1\r\ns=offer\r\n";
+const ANSWER = "v=0\r\no=- 3 4 IN IP4 127.0.0.1\r\ns=answer\r\n";
+
+// ============================================================
+// FAKES
+// ============================================================
+
+class FakeDataChannel extends EventTarget {
+    constructor(label) {
+        super();
+        this.label = label;
+        this.sent = [];
+    }
+
+    send(data) {
+        this.sent.push(data);
+    }
+
+    // A message from the server
+    receive(data) {
+        this.dispatchEvent(new MessageEvent("message", { data }));
+    }
+}
+
+class FakePeerConnection extends EventTarget {
+    constructor() {
+        super();
+        this.localDescription = null;
+        this.closed = false;
+    }
+
+    async createOffer() {
+        return { type: "offer", sdp: OFFER };
+    }
+
+    async setLocalDescription(description) {
+        this.localDescription = description;
+    }
+
+    createDataChannel(label) {
+        return new FakeDataChannel(label);
+    }
+
+    getSenders() {
+        return [];
+    }
+
+    close() {
+        this.closed = true;
+    }
+
+    // An event handler property, like the native one: runs among the
+    // listeners, in the order it was first set
+    get ontrack() {
+        return this.trackHandler ?? null;
+    }
+
+    set ontrack(handler) {
+        if (this.trackHandler === undefined) {
+            this.addEventListener("track", (event) => this.trackHandler?.call(this, event));
+        }
+        this.trackHandler = handler;
+    }
+}
+
+class FakeMediaRecorder extends EventTarget {
+    static instances = [];
+
+    constructor(stream, options) {
+        super();
+        this.stream = stream;
+        this.options = options;
+        this.state = "inactive";
+        this.ondataavailable = null;
+        FakeMediaRecorder.instances.push(this);
+    }
+
+    start(timeslice) {
+        this.state = "recording";
+        this.timeslice = timeslice;
+    }
+
+    // Like the real one, the last chunk and then `stop` come after stop() returns
+    stop() {
+        this.state = "inactive";
+        setTimeout(() => {
+            this.ondataavailable({ data: new Blob([new Uint8Array([9])]) });
+            this.dispatchEvent(new Event("stop"));
+        });
+    }
+}
+
+class FakeWebSocket extends EventTarget {
+    constructor(url) {
+        super();
+        this.url = url;
+    }
+
+    send() {}
+}
+
+const fetchCalls = [];
+const otherResponse = new Response("ok");
+
+async function fakeFetch(url, options) {
+    fetchCalls.push({ url, options });
+    return String(url).includes("/session")
+        ? new Response(ANSWER, { status: 201, headers: { "Content-Type": "application/sdp" } })
+        : otherResponse;
+}
+
+globalThis.RTCPeerConnection = FakePeerConnection;
+globalThis.WebSocket = FakeWebSocket;
+globalThis.MediaRecorder = FakeMediaRecorder;
+globalThis.fetch = fakeFetch;
+
+// Collects what the SDK would send to the server
+function createFakeTransport() {
+    return {
+        binary: true,
+        payloads: [],
+        send(payload, binary) {
+            this.payloads.push(binary ? { ...payload, binary } : payload);
+        },
+        flush: async () => {},
+        flushOnUnload() {},
+        close() {},
+        ofType(type) {
+            return this.payloads.filter((payload) => payload.type === type);
+        },
+    };
+}
+
+function enableWithFakes(options = {}) {
+    const transport = createFakeTransport();
+    enable({ transport, ...options });
+    return transport;
+}
+
+afterEach(() => disable());
+
+// ============================================================
+// TESTS
+// ============================================================
+
+test("enable() patches RTCPeerConnection, WebSocket and fetch, and disable() restores them", async () => {
+    enableWithFakes();
+    assert.notEqual(globalThis.RTCPeerConnection, FakePeerConnection);
+    assert.notEqual(globalThis.WebSocket, FakeWebSocket);
+    assert.notEqual(globalThis.fetch, fakeFetch);
+    assert.ok(new globalThis.RTCPeerConnection() instanceof FakePeerConnection);
+
+    await disable();
+    assert.equal(globalThis.RTCPeerConnection, FakePeerConnection);
+    assert.equal(globalThis.WebSocket, FakeWebSocket);
+    assert.equal(globalThis.fetch, fakeFetch);
+});
+
+test("peer connections start a session when created and end it when closed", () => {
+    const transport = enableWithFakes();
+    const pc = new RTCPeerConnection();
+
+    const [start] = transport.ofType("session_start");
+    assert.equal(start.session.transport, "webrtc");
+    assert.equal(start.sessionId, start.session.id);
+
+    pc.close();
+    assert.equal(pc.closed, true);
+    const [end] = transport.ofType("session_end");
+    assert.equal(end.sessionId, start.sessionId);
+    assert.equal(end.session.eventCount, 0);
+
+    // Only once
+    pc.close();
+    assert.equal(transport.ofType("session_end").length, 1);
+});
+
+test("fetch captures the SDP offer and answer of the connection they belong to", async () => {
+    const transport = enableWithFakes();
+    new RTCPeerConnection();
+    const pc = new RTCPeerConnection();
+    await pc.setLocalDescription(await pc.createOffer());
+    const sessionId = transport.ofType("session_start")[1].sessionId;
+
+    const response = await fetch("/session", { method: "POST", body: OFFER, headers: { "Content-Type": "application/sdp" } });
+    assert.equal(response.status, 201);
+    assert.equal(await response.text(), ANSWER);
+
+    const signaling = transport.ofType("signaling");
+    assert.deepEqual(signaling.map((payload) => [payload.sdpType, payload.sdp, payload.sessionId]), [
+        ["offer", OFFER, sessionId],
+        ["answer", ANSWER, sessionId],
+    ]);
+    assert.equal(fetchCalls.at(-1).options.body, OFFER);
+});
+
+test("fetch passes other requests through untouched", async () => {
+    const transport = enableWithFakes();
+    new RTCPeerConnection();
+
+    const options = { method: "GET" };
+    assert.equal(await fetch("https://example.com/api/items", options), otherResponse);
+    assert.equal(fetchCalls.at(-1).options, options);
+    assert.equal(transport.ofType("signaling").length, 0);
+});
+
+test("data channels record incoming and outgoing events", () => {
+    const transport = enableWithFakes();
+    const pc = new RTCPeerConnection();
+    const dc = pc.createDataChannel("oai-events");
+
+    dc.receive(JSON.stringify({ type: "session.created", session: { model: "gpt-realtime" } }));
+    dc.receive(JSON.stringify({ type: "response.output_audio_transcript.delta", response_id: "resp_1", delta: "Hello" }));
+    dc.receive("not json");
+    dc.send(JSON.stringify({ type: "response.create" }));
+
+    // The channel still works as before
+    assert.deepEqual(dc.sent, [JSON.stringify({ type: "response.create" })]);
+
+    const events = transport.ofType("event").map((payload) => payload.event);
+    assert.deepEqual(events.map((event) => [event.direction, event.type]), [
+        ["incoming", "session.created"],
+        ["incoming", "response.output_audio_transcript.delta"],
+        ["incoming", "raw"],
+        ["outgoing", "response.create"],
+    ]);
+    assert.equal(events[2].data, "not json");
+    assert.ok(events.every((event) => event.sessionId === transport.payloads[0].sessionId && event.timestamp));
+
+    pc.close();
+    const [end] = transport.ofType("session_end");
+    assert.equal(end.session.eventCount, 4);
+    assert.equal(end.session.transcript.output, "Hello");
+});
+
+test("remote and negotiated data channels are observed, events labelled with their channel", () => {
+    const transport = enableWithFakes();
+    const pc = new RTCPeerConnection();
+
+    // Announced by the other side
+    const remote = new FakeDataChannel("oai-events");
+    let announced = null;
+    pc.addEventListener("datachannel", (event) => {
+        announced = event.channel;
+    });
+    pc.dispatchEvent(Object.assign(new Event("datachannel"), { channel: remote }));
+    assert.equal(announced, remote);
+    remote.receive(JSON.stringify({ type: "session.created" }));
+    remote.receive(JSON.stringify({ type: "response.output_audio_transcript.delta", response_id: "resp_1", delta: "Hello" }));
+
+    // Negotiated out of band, the same on both sides
+    const negotiated = pc.createDataChannel("app-state", { negotiated: true, id: 5 });
+    negotiated.send(JSON.stringify({ type: "app.ready" }));
+    // The app relays the transcript to another peer: recorded, but not part of the conversation
+    negotiated.send(JSON.stringify({ type: "response.output_audio_transcript.delta", response_id: "resp_1", delta: "Hello" }));
+
+    const events = transport.ofType("event").map((payload) => payload.event);
+    assert.deepEqual(events.map((event) => [event.channel, event.direction, event.type]), [
+        ["oai-events", "incoming", "session.created"],
+        ["oai-events", "incoming", "response.output_audio_transcript.delta"],
+        ["app-state", "outgoing", "app.ready"],
+        ["app-state", "outgoing", "response.output_audio_transcript.delta"],
+    ]);
+
+    pc.close();
+    assert.equal(transport.ofType("session_end")[0].session.transcript.output, "Hello");
+});
+
+test("binary data channel messages are decoded, or kept as base64 when small", async () => {
+    const transport = enableWithFakes();
+    const pc = new RTCPeerConnection();
+    const dc = pc.createDataChannel("oai-events");
+
+    dc.receive(new TextEncoder().encode(JSON.stringify({ type: "session.created" })).buffer);
+    dc.send(new Uint8Array([0, 255, 1]));
+    dc.receive(new Blob([new Uint8Array([7, 8])]));
+    // Too large to keep: only its size
+    dc.receive(new Uint8Array(100000).buffer);
+    // A Blob that can't be read: only its size
+    const unreadable = new Blob([new Uint8Array([1, 2, 3, 4])]);
+    unreadable.arrayBuffer = () => Promise.reject(new Error("NotReadableError"));
+    dc.receive(unreadable);
+    await new Promise((resolve) => setTimeout(resolve, 10));
+
+    const events = transport.ofType("event").map((payload) => payload.event);
+    assert.deepEqual(events.map((event) => [event.direction, event.type, event.size, event.data]), [
+        ["incoming", "session.created", undefined, undefined],
+        ["outgoing", "binary", 3, "AP8B"],
+        ["incoming", "binary", 100000, undefined],
+        // Blobs are recorded once their read settles, the failed one first
+        ["incoming", "binary", 4, undefined],
+        ["incoming", "binary", 2, "Bwg="],
+    ]);
+});
+
+test("audio tracks are recorded, and ontrack handlers still run", async () => {
+    FakeMediaRecorder.instances.length = 0;
+    const transport = enableWithFakes();
+    const pc = new RTCPeerConnection();
+
+    let handled = null;
+    pc.ontrack = (event) => {
+        handled = event;
+    };
+    const track = Object.assign(new Event("track"), { track: { kind: "audio" }, streams: [{ id: "remote" }] });
+    pc.dispatchEvent(track);
+    assert.equal(handled, track);
+
+    recordInput({ id: "mic", getTracks: () => [] }, pc);
+
+    const [output, input] = FakeMediaRecorder.instances;
+    assert.equal(output.stream.id, "remote");
+    assert.equal(input.stream.id, "mic");
+    assert.equal(output.state, "recording");
+    assert.equal(output.timeslice, 1000);
+
+    output.ondataavailable({ data: new Blob([new Uint8Array([1, 2, 3])]) });
+    await new Promise((resolve) => setTimeout(resolve, 10));
+
+    const [audio] = transport.ofType("audio");
+    assert.equal(audio.audio.direction, "output");
+    assert.equal(audio.audio.size, 3);
+    assert.ok(audio.audio.recordingStartedAt);
+    assert.deepEqual([...new Uint8Array(audio.binary)], [1, 2, 3]);
+
+    pc.close();
+    assert.equal(output.state, "inactive");
+    assert.equal(input.state, "inactive");
+});
+
+test("WebSockets to Realtime URLs are observed, others aren't", () => {
+    const transport = enableWithFakes();
+
+    new WebSocket("wss://example.com/chat");
+    assert.equal(transport.ofType("session_start").length, 0);
+
+    const ws = new WebSocket("wss://api.openai.com/v1/realtime?model=gpt-realtime");
+    assert.ok(ws instanceof FakeWebSocket);
+    ws.dispatchEvent(new MessageEvent("message", { data: JSON.stringify({ type: "session.created" }) }));
+
+    const [start] = transport.ofType("session_start");
+    assert.equal(start.session.transport, "websocket");
+    assert.equal(transport.ofType("event")[0].event.type, "session.created");
+});
+
+test("the patched constructors keep instanceof, prototype and subclassing working", () => {
+    enableWithFakes();
+    assert.equal(RTCPeerConnection.prototype, FakePeerConnection.prototype);
+    assert.equal(RTCPeerConnection.name, "FakePeerConnection");
+    assert.ok(new RTCPeerConnection() instanceof RTCPeerConnection);
+    assert.ok(new WebSocket("wss://api.openai.com/v1/realtime") instanceof WebSocket);
+
+    class AppPeerConnection extends RTCPeerConnection {
+        hello() {
+            return "hello";
+        }
+    }
+    const pc = new AppPeerConnection();
+    assert.ok(pc instanceof AppPeerConnection && pc instanceof FakePeerConnection);
+    assert.equal(pc.hello(), "hello");
+});
+
+test("the recorders' last chunks are sent before session_end", async () => {
+    const transport = enableWithFakes();
+    const pc = new RTCPeerConnection();
+    pc.dispatchEvent(Object.assign(new Event("track"), { track: { kind: "audio" }, streams: [{ id: "remote" }] }));
+    recordInput({ id: "mic", getTracks: () => [] }, pc);
+
+    pc.close();
+    assert.equal(transport.ofType("session_end").length, 0);
+    await new Promise((resolve) => setTimeout(resolve, 20));
+
+    assert.deepEqual(transport.payloads.slice(-3).map((payload) => [payload.type, payload.audio?.direction]), [
+        ["audio", "input"],
+        ["audio", "output"],
+        ["session_end", undefined],
+    ]);
+    assert.deepEqual(transport.ofType("session_end")[0].session.audioChunks, { input: 1, output: 1 });
+});
+
+test("disable() resolves once the last chunks and session_end have been flushed", async () => {
+    const transport = enableWithFakes();
+    const flushed = [];
+    transport.flush = async () => flushed.push(transport.payloads.length);
+    transport.close = () => flushed.push("closed");
+
+    const pc = new RTCPeerConnection();
+    recordInput({ id: "mic", getTracks: () => [] }, pc);
+    await disable();
+
+    assert.deepEqual(transport.payloads.slice(-2).map((payload) => payload.type), ["audio", "session_end"]);
+    assert.deepEqual(flushed, [transport.payloads.length, "closed"]);
+});
+
+test("disable() ends active sessions and unwraps their connections", async () => {
+    FakeMediaRecorder.instances.length = 0;
+    const transport = enableWithFakes();
+    const pc = new RTCPeerConnection();
+    const dc = pc.createDataChannel("oai-events");
+    const ws = new WebSocket("wss://api.openai.com/v1/realtime");
+    recordInput({ id: "mic", getTracks: () => [] }, pc);
+
+    let handled = 0;
+    pc.ontrack = () => handled++;
+
+    await disable();
+    assert.equal(transport.ofType("session_end").length, 2);
+    assert.ok(FakeMediaRecorder.instances.every((recorder) => recorder.state === "inactive"));
+
+    // Back to the prototype's methods and native handler properties
+    for (const [instance, methods] of [[pc, ["close", "createDataChannel"]], [dc, ["send"]], [ws, ["send"]]]) {
+        for (const method of methods) assert.ok(!Object.hasOwn(instance, method), method);
+    }
+    assert.ok(!Object.getOwnPropertyDescriptor(pc, "ontrack")?.get);
+
+    // Nothing is recorded any more
+    const count = transport.payloads.length;
+    pc.dispatchEvent(Object.assign(new Event("track"), { track: { kind: "audio" }, streams: [{ id: "remote" }] }));
+    dc.receive(JSON.stringify({ type: "session.created" }));
+    dc.send(JSON.stringify({ type: "response.create" }));
+    pc.close();
+    assert.equal(handled, 1);
+    assert.equal(FakeMediaRecorder.instances.length, 1);
+    assert.equal(transport.payloads.length, count);
+});
+
+test("enable() can be called again after disable()", async () => {
+    const first = enableWithFakes({ recordAudio: false });
+    new RTCPeerConnection();
+    await disable();
+
+    const second = enableWithFakes();
+    const pc = new RTCPeerConnection();
+    pc.createDataChannel("oai-events").receive(JSON.stringify({ type: "session.created" }));
+
+    assert.equal(first.ofType("session_start").length, 1);
+    assert.equal(first.ofType("event").length, 0);
+    assert.equal(second.ofType("session_start").length, 1);
+    assert.equal(second.ofType("event").length, 1);
+});
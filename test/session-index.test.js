@@ -0,0 +1,63 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { createFileStorage } from "../src/storage.js";
+import { getSessionIndex, indexEntry } from "../src/session-index.js";
+
+// Within the last hour: older sessions that never ended aren't re-read
+const T0 = Date.now() - 60 * 60 * 1000;
+const at = (minute) => new Date(T0 + minute * 60 * 1000).toISOString();
+
+function withStorage(fn) {
+    return async () => {
+        const dir = mkdtempSync(join(tmpdir(), "session-index-test-"));
+        try {
+            await fn(createFileStorage(dir));
+        } finally {
+            rmSync(dir, { recursive: true, force: true });
+        }
+    };
+}
+
+test("instances sharing a storage see each other's sessions, and their updates", withStorage(async (storage) => {
+    // Two server instances: separate storage objects, separate indexes
+    const first = getSessionIndex({ ...storage });
+    const second = getSessionIndex({ ...storage });
+
+    await first.upsert(indexEntry({ id: "s1", startedAt: at(1), transport: "webrtc" }));
+    await second.upsert(indexEntry({ id: "s2", startedAt: at(2), transport: "websocket" }));
+    assert.deepEqual((await first.query()).sessions.map((session) => session.id), ["s2", "s1"]);
+    assert.equal((await second.query()).sessions[1].duration, undefined);
+
+    // s1 ends on the first instance
+    await first.upsert(indexEntry({ id: "s1", startedAt: at(1), endedAt: at(3), duration: 120000 }, ["Refund please"]));
+    const { sessions } = await second.query({ q: "refund" });
+    assert.deepEqual(sessions.map((session) => [session.id, session.duration]), [["s1", 120000]]);
+
+    assert.deepEqual((await storage.list("index/")).sort(), ["index/rebuilt", "index/s1.entry.json", "index/s2.entry.json"]);
+}));
+
+test("sessions recorded before the index are indexed on first use", withStorage(async (storage) => {
+    await storage.write("old/session.json", JSON.stringify({ id: "old", startedAt: at(1), endedAt: at(2), duration: 60000, events: [{ type: "error" }] }));
+    await storage.write("old/turn-01-input/transcript.txt", "Hello there");
+
+    const index = getSessionIndex({ ...storage });
+    const [session] = (await index.query({ q: "hello", hasErrors: "true" })).sessions;
+    assert.equal(session.id, "old");
+    assert.equal(session.errorCount, 1);
+    assert.ok(await storage.read("index/old.entry.json"));
+}));
+
+test("queries paginate newest first with a cursor", withStorage(async (storage) => {
+    const index = getSessionIndex({ ...storage });
+    for (let i = 1; i <= 5; i++) {
+        await index.upsert(indexEntry({ id: `s${i}`, startedAt: at(i), endedAt: at(i + 1) }));
+    }
+
+    const first = await index.query({ limit: "2" });
+    const second = await index.query({ limit: "2", cursor: first.nextCursor });
+    assert.deepEqual(first.sessions.map((session) => session.id), ["s5", "s4"]);
+    assert.deepEqual(second.sessions.map((session) => session.id), ["s3", "s2"]);
+}));
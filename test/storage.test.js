@@ -0,0 +1,139 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { createServer } from "http";
+import { createHash, createHmac } from "crypto";
+import { createS3Storage } from "../src/storage.js";
+
+const credentials = { accessKeyId: "AKIDEXAMPLE", secretAccessKey: "wJalrXUtnFEMI/K7MDENG+bPxRfiCYEXAMPLEKEY", region: "eu-west-1" };
+
+// A continuation token that needs encoding in a query, and escaping in XML
+const TOKEN = "page/2+a=b&c";
+
+const sha256 = (data) => createHash("sha256").update(data).digest("hex");
+const hmac = (key, data) => createHmac("sha256", key).update(data).digest();
+
+/**
+ * The SigV4 signature of a request as the server received it: its raw path
+ * and query string, not what the client meant to send.
+ */
+function expectedSignature(req, body) {
+    const [path, query = ""] = req.url.split("?");
+    const canonicalQuery = query
+        .split("&")
+        .filter(Boolean)
+        .map((param) => param.split("="))
+        .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+        .map(([name, value = ""]) => `${name}=${value}`)
+        .join("&");
+    const signedHeaders = req.headers.authorization.match(/SignedHeaders=([^,]+)/)[1].split(";");
+    const amzDate = req.headers["x-amz-date"];
+    const date = amzDate.slice(0, 8);
+
+    const canonicalRequest = [
+        req.method,
+        path,
+        canonicalQuery,
+        signedHeaders.map((name) => `${name}:${req.headers[name]}\n`).join(""),
+        signedHeaders.join(";"),
+        sha256(body),
+    ].join("\n");
+    const scope = `${date}/${credentials.region}/s3/aws4_request`;
+    const stringToSign = ["AWS4-HMAC-SHA256", amzDate, scope, sha256(canonicalRequest)].join("\n");
+
+    let key = hmac(`AWS4${credentials.secretAccessKey}`, date);
+    for (const part of [credentials.region, "s3", "aws4_request"]) key = hmac(key, part);
+    return hmac(key, stringToSign).toString("hex");
+}
+
+let server;
+let endpoint;
+const objects = new Map();   // bucket key -> { body, contentType }
+const requests = [];
+
+before(async () => {
+    server = createServer((req, res) => {
+        const chunks = [];
+        req.on("data", (chunk) => chunks.push(chunk));
+        req.on("end", () => {
+            const body = Buffer.concat(chunks);
+            requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+
+            // Unsigned or wrongly signed requests are refused, like S3 does
+            const signature = req.headers.authorization?.match(/Signature=([0-9a-f]+)/)?.[1];
+            if (!signature || signature !== expectedSignature(req, body) || req.headers["x-amz-content-sha256"] !== sha256(body)) {
+                res.writeHead(403).end("<Error><Code>SignatureDoesNotMatch</Code></Error>");
+                return;
+            }
+
+            const url = new URL(req.url, "http://stub");
+            const key = decodeURIComponent(url.pathname.replace(/^\/bucket\/?/, ""));
+            if (req.method === "PUT") {
+                objects.set(key, { body, contentType: req.headers["content-type"] });
+                res.writeHead(200).end();
+            } else if (key) {
+                const object = objects.get(key);
+                if (object) res.writeHead(200).end(object.body);
+                else res.writeHead(404).end("<Error><Code>NoSuchKey</Code></Error>");
+            } else {
+                // ListObjectsV2, one key per page
+                const keys = Array.from(objects.keys()).filter((k) => k.startsWith(url.searchParams.get("prefix"))).sort();
+                const page = url.searchParams.get("continuation-token") === TOKEN ? 1 : 0;
+                const escape = (text) => text.replace(/&/g, "&amp;");
+                res.writeHead(200, { "content-type": "application/xml" }).end(
+                    "<ListBucketResult>"
+                    + (keys[page] ? `<Contents><Key>${escape(keys[page])}</Key></Contents>` : "")
+                    + (page === 0 && keys.length > 1 ? `<IsTruncated>true</IsTruncated><NextContinuationToken>${escape(TOKEN)}</NextContinuationToken>` : "")
+                    + "</ListBucketResult>"
+                );
+            }
+        });
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    endpoint = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+const storage = () => createS3Storage({ ...credentials, endpoint, bucket: "bucket", prefix: "tenant" });
+
+test("S3 requests carry SigV4 headers the stub can verify", async () => {
+    requests.length = 0;
+    await storage().write("s1/session.json", "{}");
+
+    const [request] = requests;
+    assert.equal(request.method, "PUT");
+    assert.equal(request.url, "/bucket/tenant/s1/session.json");
+    assert.match(request.headers["x-amz-date"], /^\d{8}T\d{6}Z$/);
+    assert.equal(request.headers["x-amz-content-sha256"], sha256("{}"));
+    assert.match(request.headers.authorization,
+        /^AWS4-HMAC-SHA256 Credential=AKIDEXAMPLE\/\d{8}\/eu-west-1\/s3\/aws4_request, SignedHeaders=host;x-amz-content-sha256;x-amz-date, Signature=[0-9a-f]{64}$/);
+    assert.equal(request.headers.authorization.match(/Signature=(\w+)/)[1], expectedSignature(request, request.body));
+
+    // A wrong secret is refused
+    const wrong = createS3Storage({ ...credentials, secretAccessKey: "wrong", endpoint, bucket: "bucket" });
+    await assert.rejects(wrong.read("s1/session.json"), /403 SignatureDoesNotMatch/);
+});
+
+test("S3 write sends the content type and read returns null for a missing key", async () => {
+    const s3 = storage();
+    await s3.write("s1/turn-01-input/audio.wav", Buffer.from("RIFF"));
+    assert.equal(objects.get("tenant/s1/turn-01-input/audio.wav").contentType, "audio/wav");
+    assert.equal((await s3.read("s1/turn-01-input/audio.wav")).toString(), "RIFF");
+    assert.equal(await s3.read("s1/missing.json"), null);
+});
+
+test("S3 list follows continuation tokens, decodes XML and strips the prefix", async () => {
+    objects.clear();
+    const s3 = storage();
+    await s3.write("index/a&b.entry.json", "{}");
+    await s3.write("index/c.entry.json", "{}");
+    await s3.write("other/d.json", "{}");
+
+    requests.length = 0;
+    assert.deepEqual(await s3.list("index/"), ["index/a&b.entry.json", "index/c.entry.json"]);
+
+    // The token went back encoded, and was signed as sent (the stub checks)
+    assert.equal(requests.length, 2);
+    assert.equal(new URL(requests[1].url, "http://stub").searchParams.get("continuation-token"), TOKEN);
+    assert.match(requests[1].url, /continuation-token=page%2F2%2Ba%3Db%26c/);
+});
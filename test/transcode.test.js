@@ -0,0 +1,26 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mixStereoWav } from "../src/transcode.js";
+
+const constant = (samples, value) => Buffer.from(new Int16Array(samples).fill(value).buffer);
+const frame = (wav, i) => [wav.readInt16LE(44 + i * 4), wav.readInt16LE(44 + i * 4 + 2)];
+
+test("mixStereoWav places, sums and clamps clips across mixing blocks", () => {
+    const wav = mixStereoWav([
+        // 1s to 2s: past the first block of frames
+        { channel: "left", offsetMs: 1000, pcm: constant(24000, 1000) },
+        { channel: "left", offsetMs: 1500, pcm: constant(24000, 32000) },
+        // 12kHz: every sample twice
+        { channel: "right", offsetMs: 500, pcm: constant(12000, -7), sampleRate: 12000 },
+    ], 24000);
+
+    assert.equal(wav.readUInt32LE(40), 60000 * 4);
+    assert.equal(wav.readUInt16LE(22), 2);
+    assert.deepEqual(frame(wav, 0), [0, 0]);
+    assert.deepEqual(frame(wav, 12000), [0, -7]);
+    assert.deepEqual(frame(wav, 23999), [0, -7]);
+    assert.deepEqual(frame(wav, 24000), [1000, -7]);
+    assert.deepEqual(frame(wav, 36000), [32767, 0]);
+    assert.deepEqual(frame(wav, 48000), [32000, 0]);
+    assert.deepEqual(frame(wav, 59999), [32000, 0]);
+});
@@ -0,0 +1,50 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createTransport } from "../src/transport.js";
+
+test("every payload gets an ID unique across transports", async () => {
+    const batches = [];
+    const fetch = async (url, options) => {
+        batches.push(JSON.parse(options.body).payloads);
+        return new Response("{}");
+    };
+
+    const first = createTransport({ endpoint: "/observability", fetch, persist: false });
+    const second = createTransport({ endpoint: "/observability", fetch, persist: false });
+    for (const transport of [first, second]) {
+        transport.send({ type: "session_start", sessionId: "s1" });
+        transport.send({ type: "event", sessionId: "s1" });
+        await transport.flush();
+        transport.close();
+    }
+
+    const ids = batches.flat().map((payload) => payload.payloadId);
+    assert.equal(ids.length, 4);
+    assert.equal(new Set(ids).size, 4);
+    assert.deepEqual(batches[0].map((payload) => payload.type), ["session_start", "event"]);
+});
+
+test("flush() sends batch after batch until the queue is empty", async () => {
+    const batches = [];
+    const fetch = async (url, options) => {
+        batches.push(JSON.parse(options.body).payloads.length);
+        return new Response("{}");
+    };
+    const transport = createTransport({ endpoint: "/observability", fetch, persist: false, batchSize: 20 });
+    for (let i = 0; i < 45; i++) transport.send({ type: "event", sessionId: "s1" });
+
+    await transport.flush();
+    transport.close();
+    assert.deepEqual(batches, [20, 20, 5]);
+    assert.equal(transport.size, 0);
+});
+
+test("flush() stops at a failed batch and keeps it queued", async () => {
+    const fetch = async () => new Response("", { status: 503 });
+    const transport = createTransport({ endpoint: "/observability", fetch, persist: false, batchSize: 2 });
+    for (let i = 0; i < 3; i++) transport.send({ type: "event", sessionId: "s1" });
+
+    await transport.flush();
+    transport.close();
+    assert.equal(transport.size, 3);
+});
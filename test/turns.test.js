@@ -0,0 +1,131 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createTurnState, applyEvent, applyAudio, summarizeUsage } from "../src/turns.js";
+
+const T0 = Date.parse("2026-01-01T00:00:00.000Z");
+
+// `[ms after T0, event]` pairs, applied in order. Returns the state and the
+// keys of the turns each event finalized.
+function run(transport, events) {
+    const state = createTurnState({ transport });
+    const finalized = events.map(([ms, event]) =>
+        applyEvent(state, { ...event, timestamp: new Date(T0 + ms).toISOString() }).map((turn) => turn.key));
+    return { state, finalized };
+}
+
+const usage = (input, output, cached = 0) => ({
+    input_tokens: input,
+    output_tokens: output,
+    total_tokens: input + output,
+    input_token_details: { audio_tokens: input, cached_tokens: cached, cached_tokens_details: { audio_tokens: cached } },
+    output_token_details: { audio_tokens: output },
+});
+
+const transcriptDelta = (responseId, delta) => ({ type: "response.output_audio_transcript.delta", response_id: responseId, delta });
+const responseDone = (id, fields = {}) => ({ type: "response.done", response: { id, status: "completed", ...fields } });
+
+const cases = [
+    {
+        name: "an earlier response's response.done arriving last finalizes each turn on its own",
+        transport: "websocket",
+        events: [
+            [0, { type: "response.created", response: { id: "resp_1" } }],
+            [100, { type: "response.created", response: { id: "resp_2" } }],
+            [200, transcriptDelta("resp_2", "Second")],
+            [300, transcriptDelta("resp_1", "First")],
+            [400, responseDone("resp_2", { usage: usage(10, 20) })],
+            [500, responseDone("resp_1", { usage: usage(30, 40) })],
+        ],
+        check({ state, finalized }) {
+            assert.deepEqual(finalized, [[], [], [], [], ["output:resp_2"], ["output:resp_1"]]);
+            assert.equal(state.turns.get("output:resp_1").transcript, "First");
+            assert.equal(state.turns.get("output:resp_2").transcript, "Second");
+            assert.equal(state.turns.get("output:resp_1").usage.outputTokens, 40);
+            assert.equal(state.turns.get("output:resp_2").latency.responseDurationMs, 300);
+        },
+    },
+    {
+        name: "a truncated interruption trims the transcript to what was heard",
+        transport: "webrtc",
+        events: [
+            [0, { type: "response.created", response: { id: "resp_1" } }],
+            [10, { type: "response.output_item.added", response_id: "resp_1", item: { id: "item_1", type: "message" } }],
+            [20, transcriptDelta("resp_1", "One two three four five six seven eight nine ten eleven")],
+            [100, { type: "output_audio_buffer.started", response_id: "resp_1" }],
+            [1100, { type: "output_audio_buffer.cleared", response_id: "resp_1" }],
+            [1110, { type: "conversation.item.truncated", item_id: "item_1", audio_end_ms: 1000 }],
+            [1120, responseDone("resp_1", { status: "cancelled", status_details: { reason: "turn_detected" } })],
+            // No output audio was recorded: given up on two timeslices later
+            [4000, { type: "rate_limits.updated", rate_limits: [] }],
+        ],
+        check({ state, finalized }) {
+            const turn = state.turns.get("output:resp_1");
+            assert.deepEqual(finalized.at(-1), ["output:resp_1"]);
+            assert.equal(turn.interrupted, true);
+            assert.equal(turn.interruption.reason, "turn_detected");
+            assert.equal(turn.interruption.heardMs, 1000);
+            assert.equal(turn.fullTranscript, "One two three four five six seven eight nine ten eleven");
+            assert.equal(turn.transcript, "One two three");
+            assert.equal(turn.latency.playbackDurationMs, 1000);
+        },
+    },
+    {
+        name: "a function call is a tool turn finalized by its function_call_output",
+        transport: "websocket",
+        events: [
+            [0, { type: "response.created", response: { id: "resp_1" } }],
+            [10, {
+                type: "response.output_item.added",
+                response_id: "resp_1",
+                item: { id: "item_1", type: "function_call", call_id: "call_1", name: "get_weather" },
+            }],
+            [20, { type: "response.function_call_arguments.delta", call_id: "call_1", item_id: "item_1", delta: "{\"city\":" }],
+            [30, { type: "response.function_call_arguments.done", call_id: "call_1", item_id: "item_1", arguments: "{\"city\":\"Paris\"}" }],
+            [40, responseDone("resp_1")],
+            [540, { type: "conversation.item.create", item: { type: "function_call_output", call_id: "call_1", output: "{\"temp\":20}" } }],
+        ],
+        check({ state, finalized }) {
+            const call = state.turns.get("tool:call_1");
+            assert.deepEqual(finalized, [[], [], [], [], ["output:resp_1"], ["tool:call_1"]]);
+            assert.equal(call.name, "get_weather");
+            assert.equal(call.itemId, "item_1");
+            assert.equal(call.responseId, "resp_1");
+            assert.equal(call.arguments, "{\"city\":\"Paris\"}");
+            assert.equal(call.output, "{\"temp\":20}");
+            assert.equal(call.durationMs, 510);
+        },
+    },
+    {
+        name: "summarizeUsage sums every response that reported usage",
+        transport: "websocket",
+        events: [
+            [0, responseDone("resp_1", { usage: usage(100, 50, 40) })],
+            [10, responseDone("resp_2")],
+            [20, responseDone("resp_3", { usage: usage(200, 25, 60) })],
+        ],
+        check({ state }) {
+            const summary = summarizeUsage(state);
+            assert.equal(summary.responses, 2);
+            assert.equal(summary.inputTokens, 300);
+            assert.equal(summary.outputTokens, 75);
+            assert.equal(summary.totalTokens, 375);
+            assert.deepEqual(summary.input, { text: 0, audio: 300, image: 0, cached: 100, cachedText: 0, cachedAudio: 100, cachedImage: 0 });
+            assert.deepEqual(summary.output, { text: 0, audio: 75 });
+
+            assert.equal(summarizeUsage(run("websocket", [[0, responseDone("resp_1")]]).state), null);
+        },
+    },
+];
+
+for (const { name, transport, events, check } of cases) {
+    test(name, () => check(run(transport, events)));
+}
+
+test("applyAudio ignores directions that aren't input or output", () => {
+    const state = createTurnState({ transport: "webrtc" });
+    for (const direction of ["__proto__", "constructor", "toString"]) {
+        assert.deepEqual(applyAudio(state, { direction, format: "webm", data: "AAAA", timestamp: new Date(T0).toISOString() }), []);
+    }
+    assert.equal({}.format, undefined);
+    assert.equal({}.receivedUntil, undefined);
+});
@@ -0,0 +1,128 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "fs";
+import { ID, readElements, readUint, readFloat } from "../src/ebml.js";
+import { isWebmHeader, initSegment, parseWebm, blockFrames, remuxWebm, sliceWebm } from "../src/webm.js";
+import { webmToOgg } from "../src/transcode.js";
+import { FIRST_TIMECODE, BLOCK_MS, CLUSTERS, CHUNK_SPLIT, opusPacket, opusHead } from "./fixtures/make-webm-fixtures.js";
+
+const fixture = (name) => readFileSync(new URL(`./fixtures/${name}`, import.meta.url));
+const BLOCKS = CLUSTERS.reduce((sum, n) => sum + n, 0);
+
+/**
+ * The parts of a remuxed file the tests look at.
+ */
+function inspect(webm) {
+    const elements = Array.from(readElements(webm));
+    const value = (el) => webm.subarray(el.dataOffset, el.end);
+    const segment = elements.find((e) => e.name === "Segment");
+    const parsed = parseWebm(webm);
+    return {
+        elements,
+        segment,
+        clusters: elements.filter((e) => e.name === "Cluster"),
+        duration: readFloat(value(elements.find((e) => e.name === "Duration"))),
+        cueTimes: elements.filter((e) => e.name === "CueTime").map((e) => readUint(value(e))),
+        cuePositions: elements.filter((e) => e.name === "CueClusterPosition").map((e) => readUint(value(e))),
+        seekPositions: elements.filter((e) => e.name === "SeekPosition").map((e) => readUint(value(e))),
+        times: parsed.blocks.map((block) => block.time),
+        frames: parsed.blocks.flatMap((block) => blockFrames(block)),
+    };
+}
+
+test("initSegment ends before the first Cluster", () => {
+    const webm = fixture("mediarecorder.webm");
+    const init = initSegment(webm);
+    assert.ok(isWebmHeader(init));
+    assert.equal(webm.readUInt32BE(init.length), ID.Cluster);
+    assert.ok(Array.from(readElements(init)).some((e) => e.name === "Tracks"));
+    assert.equal(initSegment(fixture("mediarecorder-chunk-2.webm")), null);
+});
+
+test("parseWebm reads tracks and block times", () => {
+    const parsed = parseWebm(fixture("mediarecorder.webm"));
+    assert.equal(parsed.trackEntries.length, 1);
+    assert.equal(parsed.trackEntries[0].codecId, "A_OPUS");
+    assert.equal(parsed.trackEntries[0].channels, 1);
+    assert.equal(parsed.trackEntries[0].samplingFrequency, 48000);
+    assert.deepEqual(parsed.trackEntries[0].codecPrivate, opusHead());
+    assert.equal(parsed.blocks.length, BLOCKS);
+    assert.deepEqual(parsed.blocks.map((block) => block.time), Array.from({ length: BLOCKS }, (_, i) => FIRST_TIMECODE + i * BLOCK_MS));
+    assert.deepEqual(parsed.blocks.flatMap((block) => blockFrames(block)), Array.from({ length: BLOCKS }, (_, i) => opusPacket(i)));
+});
+
+test("remuxWebm starts at 0 and sizes every element", () => {
+    const { segment, clusters, times } = inspect(remuxWebm(fixture("mediarecorder.webm")));
+    assert.notEqual(segment.size, null);
+    assert.ok(clusters.length > 0 && clusters.every((cluster) => cluster.size !== null));
+    assert.deepEqual(times, Array.from({ length: BLOCKS }, (_, i) => i * BLOCK_MS));
+});
+
+test("remuxWebm leaves the audio untouched", () => {
+    // Payloads containing Cluster and Timecode IDs must not be "adjusted"
+    const { frames } = inspect(remuxWebm(fixture("mediarecorder.webm")));
+    assert.deepEqual(frames, Array.from({ length: BLOCKS }, (_, i) => opusPacket(i)));
+});
+
+test("remuxWebm writes a Duration, Cues and a SeekHead", () => {
+    const webm = remuxWebm(fixture("mediarecorder.webm"));
+    const { elements, segment, clusters, duration, cueTimes, cuePositions, seekPositions } = inspect(webm);
+
+    assert.equal(duration, BLOCKS * BLOCK_MS);
+
+    // One cue per Cluster, pointing at it
+    assert.equal(cuePositions.length, clusters.length);
+    assert.deepEqual(cuePositions.map((position) => segment.dataOffset + position), clusters.map((cluster) => cluster.offset));
+    assert.equal(cueTimes[0], 0);
+
+    // SeekHead entries for Info, Tracks and Cues
+    const targets = seekPositions.map((position) => elements.find((e) => e.offset === segment.dataOffset + position)?.name);
+    assert.deepEqual(targets, ["Info", "Tracks", "Cues"]);
+});
+
+test("remuxWebm joins chunks that split a Cluster", () => {
+    const init = initSegment(fixture("mediarecorder-chunk-1.webm"));
+    const turn = Buffer.concat([init, fixture("mediarecorder-chunk-2.webm")]);
+    const { times, frames } = inspect(remuxWebm(turn));
+
+    const expected = BLOCKS - CHUNK_SPLIT;
+    assert.equal(frames.length, expected);
+    assert.deepEqual(frames, Array.from({ length: expected }, (_, i) => opusPacket(CHUNK_SPLIT + i)));
+    // The blocks before the next Cluster keep their spacing and lead up to it
+    assert.deepEqual(times, Array.from({ length: expected }, (_, i) => i * BLOCK_MS));
+});
+
+test("remuxWebm returns input it can't parse unchanged", () => {
+    const chunk = fixture("mediarecorder-chunk-2.webm");
+    assert.equal(remuxWebm(chunk), chunk);
+});
+
+test("sliceWebm keeps the blocks that overlap the window", () => {
+    const webm = fixture("mediarecorder.webm");
+    // From the middle of block 5 to the start of block 12
+    const slice = sliceWebm(webm, FIRST_TIMECODE + 5 * BLOCK_MS + 10, FIRST_TIMECODE + 12 * BLOCK_MS);
+    const { times, frames, duration } = inspect(slice);
+    assert.deepEqual(frames, [5, 6, 7, 8, 9, 10, 11].map(opusPacket));
+    assert.deepEqual(times, [0, 1, 2, 3, 4, 5, 6].map((i) => i * BLOCK_MS));
+    assert.equal(duration, 7 * BLOCK_MS);
+});
+
+test("sliceWebm works across chunks and returns null outside the recording", () => {
+    const turn = Buffer.concat([fixture("mediarecorder-chunk-1.webm"), fixture("mediarecorder-chunk-2.webm")]);
+    const { frames } = inspect(sliceWebm(turn, FIRST_TIMECODE + 10 * BLOCK_MS, FIRST_TIMECODE + 20 * BLOCK_MS));
+    assert.deepEqual(frames, Array.from({ length: 10 }, (_, i) => opusPacket(10 + i)));
+
+    assert.equal(sliceWebm(turn, 0, FIRST_TIMECODE - BLOCK_MS), null);
+    assert.equal(sliceWebm(fixture("mediarecorder-chunk-2.webm"), 0, 1e9), null);
+});
+
+test("webmToOgg remuxes the Opus packets", () => {
+    const ogg = webmToOgg(fixture("mediarecorder.webm"));
+    assert.equal(ogg.toString("ascii", 0, 4), "OggS");
+    // Identification header first, unchanged
+    assert.deepEqual(ogg.subarray(28, 28 + 19), opusHead());
+    // The last page carries the end-of-stream flag and the total sample count
+    const last = ogg.lastIndexOf("OggS");
+    assert.equal(ogg[last + 5] & 0x04, 0x04);
+    assert.equal(Number(ogg.readBigUInt64LE(last + 6)), BLOCKS * 960);
+});